@@ -26,6 +26,7 @@ module.exports = [
         exports: 'writable',
         module: 'writable',
         require: 'readonly',
+        URL: 'readonly',
       },
     },
     plugins: {
@@ -1,18 +1,35 @@
 const express = require('express');
+require('express-async-errors');
 const helmet = require('helmet');
 const cors = require('cors');
-const morgan = require('morgan');
 const compression = require('compression');
 const config = require('./config');
+const health = require('./utils/health');
+const shutdown = require('./utils/shutdown');
 const errorHandler = require('./middleware/errorHandler');
+const APIResponse = require('./utils/response');
+const { rateLimit } = require('./middleware/rateLimit');
+const { requestContext, requestLogger } = require('./middleware/requestContext');
+const { httpMetrics } = require('./middleware/metrics');
 
-// Import routes
+// Import routes (discovered from src/modules/*/*.routes.js)
+const { mountModuleRoutes } = require('./modules');
 
 /**
  * Create Express application
  */
 const app = express();
 
+app.set('trust proxy', config.trustProxy);
+
+// Once shutdown starts, tell keep-alive clients to reconnect (to another instance)
+app.use((_req, res, next) => {
+  if (shutdown.isShuttingDown()) {
+    res.set('Connection', 'close');
+  }
+  next();
+});
+
 // Security middleware
 app.use(helmet());
 app.use(cors(config.cors));
@@ -24,11 +41,14 @@ app.use(express.urlencoded({ extended: true }));
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
-if (config.env === 'development') {
-  app.use(morgan('dev'));
-} else {
-  app.use(morgan('combined'));
+// Request id, async context and access logging.
+// Registered after body parsing so the context survives the parser's stream callbacks.
+app.use(requestContext);
+app.use(requestLogger);
+
+// Metrics are recorded here and served on METRICS_PORT (see server.js), not the API port
+if (config.metrics.enabled) {
+  app.use(httpMetrics);
 }
 
 // Health check endpoint
@@ -40,19 +60,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Orchestrator probes
+app.get('/health/live', health.liveness);
+app.get('/health/ready', health.readiness);
+
+// API rate limiting (per client IP)
+if (config.rateLimit.enabled) {
+  const { limit, window, algorithm } = config.rateLimit;
+  app.use(config.apiPrefix, rateLimit({ key: 'ip', name: 'api', limit, window, algorithm }));
+}
+
 // API routes
+mountModuleRoutes(app, config.apiPrefix);
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found',
-    error: {
-      code: 'NOT_FOUND',
-    },
-    timestamp: new Date().toISOString(),
-  });
-});
+app.use((_req, res) => APIResponse.notFound(res, 'Route not found'));
 
 // Global error handler (must be last)
 app.use(errorHandler);
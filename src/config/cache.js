@@ -1,8 +1,125 @@
+const crypto = require('crypto');
 const { getRedisClient } = require('./redis');
+const logger = require('../utils/logger').child({ component: 'cache' });
+const { recordCacheLookup } = require('../utils/metrics');
+
+const TAG_PREFIX = 'cache_tag:';
+const LOCK_PREFIX = 'cache_lock:';
+const SCAN_BATCH_SIZE = 500;
+
+const WRAP_DEFAULTS = {
+  staleTtl: 60, // Seconds a value is kept (and may be served) past its TTL
+  lockTtl: 10000, // ms the recompute lock is held at most
+  waitTimeout: 5000, // ms to wait for another process to fill the key
+  pollInterval: 100, // ms between checks while waiting
+  beta: 1, // Early refresh aggressiveness, > 1 refreshes earlier
+  cacheNull: false, // Cache null/undefined loader results
+  nullTtl: 30, // Seconds to cache null results
+  tags: [],
+};
+
+// Rate limiting scripts. Each runs atomically and returns
+// { allowed (0|1), count, resetMs, retryAfterMs }.
+// KEYS[1]: counter key, ARGV[1]: limit, ARGV[2]: window in ms, ARGV[3]: unique request id
+const RATE_LIMIT_SCRIPTS = {
+  'fixed-window': `
+local current = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  ttl = tonumber(ARGV[2])
+end
+local allowed = 0
+local retry = ttl
+if current <= tonumber(ARGV[1]) then
+  allowed = 1
+  retry = 0
+end
+return { allowed, current, ttl, retry }
+`,
+
+  // Log of request timestamps in a sorted set; rejected requests are not recorded
+  'sliding-window': `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[3])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local reset = window
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+local retry = 0
+if allowed == 0 then
+  retry = reset
+end
+return { allowed, count, reset, retry }
+`,
+
+  // Bucket of \`limit\` tokens refilled continuously over \`window\`
+  'token-bucket': `
+local capacity = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local rate = capacity / window
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], window)
+local retry = 0
+if allowed == 0 then
+  retry = math.ceil((1 - tokens) / rate)
+end
+return { allowed, capacity - math.floor(tokens), math.ceil((capacity - tokens) / rate), retry }
+`,
+};
+
+// Delete the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Add a key to each tag set. A tag set lives as long as its longest-lived member.
+// KEYS: tag set keys, ARGV[1]: cache key, ARGV[2]: ttl in seconds (0 = no expiry)
+const TAG_KEY_SCRIPT = `
+local ttl = tonumber(ARGV[2])
+for _, tagKey in ipairs(KEYS) do
+  local existed = redis.call('EXISTS', tagKey)
+  local current = redis.call('TTL', tagKey)
+  redis.call('SADD', tagKey, ARGV[1])
+  if ttl <= 0 then
+    redis.call('PERSIST', tagKey)
+  elseif existed == 0 or (current >= 0 and current < ttl) then
+    redis.call('EXPIRE', tagKey, ttl)
+  end
+end
+return #KEYS
+`;
 
 class CacheService {
   constructor() {
     this.defaultTTL = 3600; // 1 hour
+    this.inflight = new Map();
   }
 
   getClient() {
@@ -14,27 +131,48 @@ class CacheService {
     try {
       const client = this.getClient();
       const value = await client.get(key);
+      recordCacheLookup(key, Boolean(value));
       return value ? JSON.parse(value) : null;
     } catch (error) {
-      console.error(`Cache GET error for key ${key}:`, error.message);
+      logger.error('Cache GET error', { key, error: error.message });
       return null;
     }
   }
 
-  async set(key, value, ttl = this.defaultTTL) {
+  /**
+   * @param {string} key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttl - Seconds, 0 for no expiry
+   * @param {Object} options
+   * @param {string[]} options.tags - Tags for bulk invalidation via invalidateTag()
+   */
+  async set(key, value, ttl = this.defaultTTL, { tags = [] } = {}) {
     try {
       const client = this.getClient();
       const serialized = JSON.stringify(value);
 
+      // Value and tag membership in one MULTI, so a key is never cached untagged
+      const multi = client.multi();
       if (ttl > 0) {
-        await client.setex(key, ttl, serialized);
+        multi.setex(key, ttl, serialized);
       } else {
-        await client.set(key, serialized);
+        multi.set(key, serialized);
+      }
+
+      if (tags.length > 0) {
+        const tagKeys = tags.map((tag) => `${TAG_PREFIX}${tag}`);
+        multi.eval(TAG_KEY_SCRIPT, tagKeys.length, ...tagKeys, key, ttl);
+      }
+
+      const results = await multi.exec();
+      const failed = (results || []).find(([commandError]) => commandError);
+      if (failed) {
+        throw failed[0];
       }
 
       return true;
     } catch (error) {
-      console.error(`Cache SET error for key ${key}:`, error.message);
+      logger.error('Cache SET error', { key, error: error.message });
       return false;
     }
   }
@@ -45,7 +183,7 @@ class CacheService {
       await client.del(key);
       return true;
     } catch (error) {
-      console.error(`Cache DEL error for key ${key}:`, error.message);
+      logger.error('Cache DEL error', { key, error: error.message });
       return false;
     }
   }
@@ -56,56 +194,251 @@ class CacheService {
       const result = await client.exists(key);
       return result === 1;
     } catch (error) {
-      console.error(`Cache EXISTS error for key ${key}:`, error.message);
+      logger.error('Cache EXISTS error', { key, error: error.message });
       return false;
     }
   }
 
+  /**
+   * Cache-aside read with stampede protection.
+   * On a miss (or expiry) one process across the fleet runs the loader under a Redis lock;
+   * others serve the stale value if there is one, or wait for the fresh one.
+   * Entries are refreshed probabilistically shortly before they expire (XFetch).
+   *
+   * @param {string} key
+   * @param {number} ttl - Seconds the loaded value is considered fresh
+   * @param {Function} loader - async () => value
+   * @param {Object} options - Overrides for WRAP_DEFAULTS
+   */
+  async wrap(key, ttl, loader, options = {}) {
+    // Concurrent callers in this process share one resolution
+    if (this.inflight.has(key)) {
+      return await this.inflight.get(key);
+    }
+
+    const opts = { ...WRAP_DEFAULTS, ...options };
+    const promise = this.resolveWrapped(key, ttl, loader, opts).finally(() => {
+      this.inflight.delete(key);
+    });
+    this.inflight.set(key, promise);
+
+    return await promise;
+  }
+
+  async resolveWrapped(key, ttl, loader, opts) {
+    const entry = await this.readEntry(key);
+    if (entry && !this.shouldRefresh(entry, opts.beta)) {
+      return entry.value;
+    }
+
+    const lock = await this.acquireLock(key, opts.lockTtl);
+    if (lock.acquired) {
+      try {
+        return await this.loadAndStore(key, ttl, loader, opts);
+      } finally {
+        await this.releaseLock(key, lock.token);
+      }
+    }
+
+    // Someone else is recomputing: serve what we have, otherwise wait for their result
+    if (entry) {
+      return entry.value;
+    }
+
+    const fresh = await this.waitForEntry(key, Date.now() + opts.waitTimeout, opts.pollInterval);
+    if (fresh) {
+      return fresh.value;
+    }
+
+    // The lock holder is too slow or died; don't keep the caller waiting any longer
+    return await loader();
+  }
+
+  async loadAndStore(key, ttl, loader, opts) {
+    const start = Date.now();
+    const value = await loader();
+    const delta = Date.now() - start;
+
+    if (value === null || value === undefined) {
+      if (opts.cacheNull) {
+        await this.storeEntry(key, null, opts.nullTtl, { ...opts, delta });
+      }
+      return null;
+    }
+
+    await this.storeEntry(key, value, ttl, { ...opts, delta });
+    return value;
+  }
+
+  // Write a wrap() entry: logical expiry in the payload, physical expiry extended by staleTtl
+  async storeEntry(
+    key,
+    value,
+    ttl,
+    { staleTtl = WRAP_DEFAULTS.staleTtl, delta = 0, tags = [] } = {}
+  ) {
+    const entry = {
+      __wrapped: true,
+      value,
+      expiresAt: Date.now() + ttl * 1000,
+      delta,
+    };
+
+    return await this.set(key, entry, ttl + staleTtl, { tags });
+  }
+
+  // Read a wrap() entry. Plain values written with set() are treated as fresh.
+  async readEntry(key) {
+    const raw = await this.get(key);
+    if (raw === null) return null;
+
+    if (raw && raw.__wrapped) {
+      return raw;
+    }
+
+    return { value: raw, expiresAt: Infinity, delta: 0 };
+  }
+
+  // Current value of a wrap() entry, or null if missing or expired
+  async peek(key) {
+    const entry = await this.readEntry(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+
+  // XFetch: refresh early with a probability that grows as expiry approaches
+  shouldRefresh(entry, beta) {
+    const now = Date.now();
+    if (now >= entry.expiresAt) return true;
+
+    return now - entry.delta * beta * Math.log(Math.random()) >= entry.expiresAt;
+  }
+
+  async acquireLock(key, lockTtl) {
+    const token = crypto.randomUUID();
+
+    try {
+      const client = this.getClient();
+      const result = await client.set(`${LOCK_PREFIX}${key}`, token, 'PX', lockTtl, 'NX');
+      return { acquired: result === 'OK', token };
+    } catch (error) {
+      // Without Redis there is nothing to coordinate on; let the caller load directly
+      logger.error('Cache lock error', { key, error: error.message });
+      return { acquired: true, token: null };
+    }
+  }
+
+  async releaseLock(key, token) {
+    if (!token) return;
+
+    try {
+      const client = this.getClient();
+      await client.eval(RELEASE_LOCK_SCRIPT, 1, `${LOCK_PREFIX}${key}`, token);
+    } catch (error) {
+      logger.error('Cache unlock error', { key, error: error.message });
+    }
+  }
+
+  async waitForEntry(key, deadline, pollInterval) {
+    await new Promise((resolve) => {
+      setTimeout(resolve, pollInterval);
+    });
+
+    const entry = await this.readEntry(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry;
+    }
+
+    if (Date.now() >= deadline) {
+      return null;
+    }
+
+    return await this.waitForEntry(key, deadline, pollInterval);
+  }
+
   // Time slot specific caching
   async cacheTimeSlots(zipCode, date, slots, ttl = 300) {
     // 5 minutes
     const key = `time_slots:${zipCode}:${date}`;
-    return await this.set(key, slots, ttl);
+    return await this.storeEntry(key, slots, ttl, { tags: [`time_slots:${zipCode}`] });
   }
 
-  async getTimeSlots(zipCode, date) {
+  // Drop cached time slots for every date in a zip code
+  async invalidateTimeSlots(zipCode) {
+    return await this.invalidateTag(`time_slots:${zipCode}`);
+  }
+
+  // Read-through when a loader is given, plain lookup otherwise
+  async getTimeSlots(zipCode, date, loader = null, ttl = 300) {
     const key = `time_slots:${zipCode}:${date}`;
-    return await this.get(key);
+
+    if (!loader) {
+      return await this.peek(key);
+    }
+
+    return await this.wrap(key, ttl, loader, { tags: [`time_slots:${zipCode}`] });
   }
 
   // Service area caching
   async cacheServiceArea(zipCode, areaData, ttl = 3600) {
     // 1 hour
     const key = `service_area:${zipCode}`;
-    return await this.set(key, areaData, ttl);
+    return await this.storeEntry(key, areaData, ttl);
   }
 
-  async getServiceArea(zipCode) {
+  // Read-through when a loader is given, plain lookup otherwise
+  async getServiceArea(zipCode, loader = null, ttl = 3600) {
     const key = `service_area:${zipCode}`;
-    return await this.get(key);
+
+    if (!loader) {
+      return await this.peek(key);
+    }
+
+    // Unknown zip codes are looked up often; remember misses briefly
+    return await this.wrap(key, ttl, loader, { cacheNull: true });
   }
 
   // Rate limiting
-  async checkRateLimit(identifier, limit = 10, window = 60) {
+  getRateLimitAlgorithms() {
+    return Object.keys(RATE_LIMIT_SCRIPTS);
+  }
+
+  /**
+   * Count a request against a limit atomically. Fails open if Redis is unavailable.
+   * @param {string} identifier - Who/what is being limited
+   * @param {number} limit - Requests allowed per window (bucket size for token-bucket)
+   * @param {number} window - Window in seconds (full refill time for token-bucket)
+   * @param {string} algorithm - fixed-window | sliding-window | token-bucket
+   */
+  async checkRateLimit(identifier, limit = 10, window = 60, algorithm = 'fixed-window') {
+    const script = RATE_LIMIT_SCRIPTS[algorithm];
+    if (!script) {
+      throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+    }
+
     try {
       const client = this.getClient();
-      const key = `rate_limit:${identifier}`;
-
-      const current = await client.incr(key);
+      const key = `rate_limit:${algorithm}:${identifier}`;
 
-      if (current === 1) {
-        await client.expire(key, window);
-      }
+      const [allowed, count, resetMs, retryAfterMs] = await client.eval(
+        script,
+        1,
+        key,
+        limit,
+        window * 1000,
+        crypto.randomUUID()
+      );
 
       return {
-        allowed: current <= limit,
-        count: current,
-        remaining: Math.max(0, limit - current),
-        resetTime: await client.ttl(key),
+        allowed: allowed === 1,
+        count,
+        limit,
+        remaining: Math.max(0, limit - count),
+        resetTime: Math.ceil(resetMs / 1000),
+        retryAfter: Math.ceil(retryAfterMs / 1000),
       };
     } catch (error) {
-      console.error(`Rate limit error for ${identifier}:`, error.message);
-      return { allowed: true, count: 0, remaining: limit, resetTime: window };
+      logger.error('Rate limit error', { identifier, error: error.message });
+      return { allowed: true, count: 0, limit, remaining: limit, resetTime: window, retryAfter: 0 };
     }
   }
 
@@ -126,23 +459,62 @@ class CacheService {
     return await this.del(key);
   }
 
-  // Pattern-based deletion
+  // Pattern-based deletion (incremental SCAN, non-blocking UNLINK)
   async deletePattern(pattern) {
     try {
       const client = this.getClient();
-      const keys = await client.keys(pattern);
+      const stream = client.scanStream({ match: pattern, count: SCAN_BATCH_SIZE });
 
-      if (keys.length > 0) {
-        await client.del(...keys);
+      return await this.unlinkFromStream(client, stream);
+    } catch (error) {
+      logger.error('Cache pattern delete error', { pattern, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Delete every key cached with the given tag.
+   * The tag set is first renamed away atomically, so keys tagged while the old members
+   * are being deleted go into a fresh set that the next invalidation still finds.
+   */
+  async invalidateTag(tag) {
+    const tagKey = `${TAG_PREFIX}${tag}`;
+    const claimedKey = `${tagKey}:invalidating:${crypto.randomUUID()}`;
+
+    try {
+      const client = this.getClient();
+
+      try {
+        await client.rename(tagKey, claimedKey);
+      } catch (error) {
+        if (/no such key/i.test(error.message)) return 0;
+        throw error;
       }
 
-      return keys.length;
+      const stream = client.sscanStream(claimedKey, { count: SCAN_BATCH_SIZE });
+      const deleted = await this.unlinkFromStream(client, stream);
+      await client.unlink(claimedKey);
+
+      return deleted;
     } catch (error) {
-      console.error(`Cache pattern delete error for ${pattern}:`, error.message);
+      logger.error('Cache tag invalidation error', { tag, error: error.message });
       return 0;
     }
   }
 
+  // UNLINK keys batch by batch as a SCAN-family stream yields them
+  async unlinkFromStream(client, stream) {
+    let deleted = 0;
+
+    for await (const keys of stream) {
+      if (keys.length > 0) {
+        deleted += await client.unlink(...keys);
+      }
+    }
+
+    return deleted;
+  }
+
   // Cache statistics
   async getStats() {
     try {
@@ -156,7 +528,7 @@ class CacheService {
         connected: true,
       };
     } catch (error) {
-      console.error('Cache stats error:', error.message);
+      logger.error('Cache stats error', { error: error.message });
       return { connected: false, error: error.message };
     }
   }
@@ -1,5 +1,30 @@
-require('dotenv').config();
 const env = require('./env');
+const logger = require('../utils/logger');
+const { buildTlsOptions } = require('./tls');
+
+// Verified TLS unless DB_SSL=false (on by default in production)
+const ssl =
+  buildTlsOptions({
+    enabled: env.DB_SSL,
+    ca: env.DB_SSL_CA,
+    cert: env.DB_SSL_CERT,
+    key: env.DB_SSL_KEY,
+    servername: env.DB_SSL_SERVERNAME,
+    rejectUnauthorized: env.DB_SSL_REJECT_UNAUTHORIZED,
+  }) || false;
+
+// Reads outside transactions are spread over the replicas; writes and transactions use the primary
+const replicas = env.DB_REPLICA_HOSTS.map((entry) => {
+  const [host, port] = entry.split(':');
+  return { host, port: port ? parseInt(port) : env.DB_PORT };
+});
+const replication =
+  replicas.length > 0
+    ? { read: replicas, write: { host: env.DB_HOST, port: env.DB_PORT } }
+    : undefined;
+
+// Query log with timing; request id comes from the async context
+const logQuery = (sql, durationMs) => logger.debug('SQL query', { sql, durationMs });
 
 const config = {
   development: {
@@ -9,14 +34,8 @@ const config = {
     host: env.DB_HOST,
     port: env.DB_PORT,
     dialect: 'postgres',
-    dialectOptions: {
-      ssl: env.DB_SSL
-        ? {
-            require: true,
-            rejectUnauthorized: false,
-          }
-        : false,
-    },
+    dialectOptions: { ssl },
+    replication,
     pool: {
       min: env.DB_POOL_MIN,
       max: env.DB_POOL_MAX,
@@ -24,7 +43,8 @@ const config = {
       acquire: env.DB_POOL_ACQUIRE,
       evict: 1000,
     },
-    logging: env.NODE_ENV === 'development' ? console.log : false,
+    logging: env.NODE_ENV === 'development' ? logQuery : false,
+    benchmark: true,
     define: {
       underscored: true,
       timestamps: true,
@@ -52,12 +72,8 @@ const config = {
     host: env.DB_HOST,
     port: env.DB_PORT,
     dialect: 'postgres',
-    dialectOptions: {
-      ssl: {
-        require: true,
-        rejectUnauthorized: false,
-      },
-    },
+    dialectOptions: { ssl },
+    replication,
     pool: {
       min: env.DB_POOL_MIN,
       max: env.DB_POOL_MAX,
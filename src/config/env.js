@@ -1,36 +1,266 @@
-const env = {
+require('dotenv').config();
+const fs = require('fs');
+const BaseJoi = require('joi');
+
+// Adds Joi.list(): a comma-separated string coerced to an array, e.g. "database,redis"
+const Joi = BaseJoi.extend({
+  type: 'list',
+  base: BaseJoi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({
+      value: value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean),
+    }),
+  },
+});
+
+// Keys whose values are never printed
+const SECRET_PATTERN = /SECRET|PASSWORD|TOKEN|API_KEY/;
+
+/**
+ * Required in production, falls back to a development default elsewhere
+ * @param {Joi.Schema} schema
+ * @param {*} devDefault
+ */
+const requiredInProduction = (schema, devDefault) =>
+  schema.when('NODE_ENV', {
+    is: 'production',
+    then: Joi.required(),
+    otherwise: Joi.optional().default(devDefault),
+  });
+
+/**
+ * Default that depends on NODE_ENV
+ */
+const byEnvironment = (productionValue, otherValue) =>
+  Joi.ref('NODE_ENV', {
+    adjust: (value) => (value === 'production' ? productionValue : otherValue),
+  });
+
+// Path to a file that must be readable, e.g. a PEM certificate
+const readableFile = () =>
+  Joi.string().custom((value) => {
+    fs.accessSync(value, fs.constants.R_OK);
+    return value;
+  });
+
+/**
+ * Parse "booking-processing:5,notifications:10" into { 'booking-processing': 5, notifications: 10 }
+ */
+const parseConcurrencyMap = (value) =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .reduce((acc, entry) => {
+      const match = /^([\w-]+)\s*:\s*(\d+)$/.exec(entry);
+      if (!match || parseInt(match[2]) < 1) {
+        throw new Error(`"${entry}" is not a queue:concurrency pair`);
+      }
+      acc[match[1]] = parseInt(match[2]);
+      return acc;
+    }, {});
+
+const schema = Joi.object({
   // Application
-  NODE_ENV: process.env.NODE_ENV || 'development',
-  PORT: process.env.PORT || 3000,
+  NODE_ENV: Joi.string().valid('development', 'test', 'production').default('development'),
+  PORT: Joi.number().port().default(3000),
+  API_PREFIX: Joi.string().pattern(/^\//).default('/api/v1'),
+
+  // Logging
+  LOG_LEVEL: Joi.string()
+    .valid('error', 'warn', 'info', 'debug')
+    .default(byEnvironment('info', 'debug')),
+  LOG_FORMAT: Joi.string().valid('json', 'pretty').default(byEnvironment('json', 'pretty')),
+
+  // Metrics
+  METRICS_ENABLED: Joi.boolean().default(true),
+  // /metrics is served on its own port, never on the public API port
+  METRICS_PORT: Joi.number().port().default(9464),
+  // Port for the worker process to expose /metrics on (worker has no HTTP server otherwise)
+  WORKER_METRICS_PORT: Joi.number().port().default(null),
+
+  // Number of proxy hops (or Express trust proxy string) in front of the app, for req.ip
+  TRUST_PROXY: Joi.alternatives()
+    .try(Joi.number().integer().min(0), Joi.boolean(), Joi.string())
+    .default(false),
+
+  // Rate limiting (applied to all API routes)
+  RATE_LIMIT_ENABLED: Joi.boolean().default(true),
+  RATE_LIMIT_MAX: Joi.number().integer().min(1).default(100),
+  RATE_LIMIT_WINDOW: Joi.number().integer().min(1).default(60),
+  RATE_LIMIT_ALGORITHM: Joi.string()
+    .valid('fixed-window', 'sliding-window', 'token-bucket')
+    .default('sliding-window'),
+
+  // Error responses: default | problem (RFC 7807) | negotiate (problem+json when the client asks for it)
+  ERROR_FORMAT: Joi.string().valid('negotiate', 'default', 'problem').default('negotiate'),
+  // Base URL for problem `type` URIs, e.g. https://docs.example.com/errors (about:blank when unset)
+  ERROR_TYPE_BASE_URL: Joi.string().uri(),
 
   // CORS
-  CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
+  CORS_ORIGIN: Joi.string().default('*'),
+
+  // JWT (production secrets must be set explicitly and be at least 32 characters)
+  JWT_SECRET: requiredInProduction(Joi.string(), 'dev-access-secret-change-me').when('NODE_ENV', {
+    is: 'production',
+    then: Joi.string().min(32),
+  }),
+  JWT_EXPIRES_IN: Joi.string().default('15m'),
+  JWT_REFRESH_SECRET: requiredInProduction(Joi.string(), 'dev-refresh-secret-change-me')
+    .when('NODE_ENV', { is: 'production', then: Joi.string().min(32) })
+    .invalid(Joi.ref('JWT_SECRET'))
+    .messages({ 'any.invalid': '"JWT_REFRESH_SECRET" must differ from "JWT_SECRET"' }),
+  JWT_REFRESH_EXPIRES_IN: Joi.string().default('7d'),
+  JWT_ISSUER: Joi.string().default('a1-garage-api'),
+
+  // Sessions
+  SESSION_IDLE_TTL: Joi.number().integer().min(1).default(1800), // 30 minutes
+  SESSION_MAX_AGE: Joi.number()
+    .integer()
+    .min(1)
+    .default(7 * 24 * 60 * 60), // 7 days
+  SESSION_COOKIE_NAME: Joi.string().default('sid'),
+
+  // Idempotency-Key (seconds)
+  IDEMPOTENCY_TTL: Joi.number()
+    .integer()
+    .min(1)
+    .default(24 * 60 * 60), // 24 hours
+  IDEMPOTENCY_LOCK_TTL: Joi.number().integer().min(1).default(60),
 
   // Database
-  DB_USER: process.env.DB_USER || 'postgres',
-  DB_PASSWORD: process.env.DB_PASSWORD || 'password',
-  DB_NAME: process.env.DB_NAME || 'a1_garage_dev',
-  DB_NAME_TEST: process.env.DB_NAME_TEST || 'a1_garage_test',
-  DB_HOST: process.env.DB_HOST || 'localhost',
-  DB_PORT: process.env.DB_PORT || 5432,
-  DB_SSL: process.env.DB_SSL === 'true',
+  DB_USER: Joi.string().default('postgres'),
+  DB_PASSWORD: requiredInProduction(Joi.string(), 'password'),
+  DB_NAME: requiredInProduction(Joi.string(), 'a1_garage_dev'),
+  DB_NAME_TEST: Joi.string().default('a1_garage_test'),
+  DB_HOST: requiredInProduction(Joi.string(), 'localhost'),
+  DB_PORT: Joi.number().port().default(5432),
+  DB_SSL: Joi.boolean().default(byEnvironment(true, false)),
+  DB_SSL_CA: readableFile(),
+  DB_SSL_CERT: readableFile(),
+  DB_SSL_KEY: readableFile(),
+  DB_SSL_SERVERNAME: Joi.string(),
+  DB_SSL_REJECT_UNAUTHORIZED: Joi.boolean().default(true),
+
+  // Apply pending migrations before the API starts listening
+  DB_MIGRATE_ON_BOOT: Joi.boolean().default(false),
+
+  // Read replicas, e.g. "replica-1.internal,replica-2.internal:5433" (same credentials as the primary)
+  DB_REPLICA_HOSTS: Joi.list()
+    .items(Joi.string().pattern(/^[^\s:]+(:\d+)?$/, 'host[:port]'))
+    .default([]),
+  // How often (ms) replicas are checked; reads fall back to the primary while one is down
+  DB_REPLICA_HEALTH_INTERVAL: Joi.number().integer().min(1000).default(10000),
 
   // Database Pool
-  DB_POOL_MIN: parseInt(process.env.DB_POOL_MIN) || 2,
-  DB_POOL_MAX: parseInt(process.env.DB_POOL_MAX) || 10,
-  DB_POOL_IDLE: parseInt(process.env.DB_POOL_IDLE) || 10000,
-  DB_POOL_ACQUIRE: parseInt(process.env.DB_POOL_ACQUIRE) || 60000,
+  DB_POOL_MIN: Joi.number().integer().min(0).default(2),
+  DB_POOL_MAX: Joi.number()
+    .integer()
+    .positive()
+    .min(Joi.ref('DB_POOL_MIN'))
+    .default(10)
+    .messages({ 'number.min': '"DB_POOL_MAX" must be at least DB_POOL_MIN' }),
+  DB_POOL_IDLE: Joi.number().integer().min(0).default(10000),
+  DB_POOL_ACQUIRE: Joi.number().integer().min(0).default(60000),
 
   // Redis
-  REDIS_URL: process.env.REDIS_URL,
-  REDIS_HOST: process.env.REDIS_HOST || 'localhost',
-  REDIS_PORT: parseInt(process.env.REDIS_PORT || '6379'),
-  REDIS_PASSWORD: process.env.REDIS_PASSWORD || undefined,
-  REDIS_DB: parseInt(process.env.REDIS_DB || '0'),
-  REDIS_QUEUE_DB: parseInt(process.env.REDIS_QUEUE_DB || '1'),
+  REDIS_URL: Joi.string().uri({ scheme: ['redis', 'rediss'] }),
+  REDIS_HOST: Joi.string().default('localhost'),
+  REDIS_PORT: Joi.number().port().default(6379),
+  REDIS_PASSWORD: Joi.string(),
+  REDIS_DB: Joi.number().integer().min(0).default(0),
+  REDIS_QUEUE_DB: Joi.number().integer().min(0).default(1),
+  // TLS is on by default for rediss:// URLs
+  REDIS_TLS: Joi.boolean().default(
+    Joi.ref('REDIS_URL', { adjust: (url) => Boolean(url && url.startsWith('rediss://')) })
+  ),
+  REDIS_TLS_CA: readableFile(),
+  REDIS_TLS_CERT: readableFile(),
+  REDIS_TLS_KEY: readableFile(),
+  REDIS_TLS_SERVERNAME: Joi.string(),
+  REDIS_TLS_REJECT_UNAUTHORIZED: Joi.boolean().default(true),
+
+  // Health checks
+  HEALTH_CHECK_TIMEOUT: Joi.number().integer().min(1).default(2000),
+  HEALTH_CRITICAL_COMPONENTS: Joi.list()
+    .items(Joi.string().valid('database', 'replicas', 'redis', 'queues'))
+    .default(['database', 'redis']),
+
+  // Shutdown
+  // Hard deadline (ms) before the process is forced to exit
+  SHUTDOWN_TIMEOUT: Joi.number().integer().min(1).default(30000),
+  // Delay (ms) between failing readiness and closing the HTTP server
+  SHUTDOWN_DRAIN_DELAY: Joi.number().integer().min(0).default(0),
 
   // Workers
-  ENABLE_QUEUE_WORKERS: process.env.ENABLE_QUEUE_WORKERS,
+  ENABLE_QUEUE_WORKERS: Joi.boolean().default(false),
+  WORKER_CONCURRENCY: Joi.number().integer().min(1).default(1),
+  // Per-queue overrides, e.g. "booking-processing:5,notifications:10"
+  QUEUE_CONCURRENCY: Joi.string().custom(parseConcurrencyMap).default({}),
+
+  // Outbox relay (runs wherever queue workers run)
+  OUTBOX_POLL_INTERVAL: Joi.number().integer().min(100).default(1000),
+  OUTBOX_BATCH_SIZE: Joi.number().integer().min(1).default(100),
+  OUTBOX_RETENTION_DAYS: Joi.number().integer().min(1).default(7),
+})
+  // A client certificate needs its key and vice versa
+  .and('DB_SSL_CERT', 'DB_SSL_KEY')
+  .and('REDIS_TLS_CERT', 'REDIS_TLS_KEY')
+  .messages({
+    'object.and': '{#presentWithLabels} must be set together with {#missingWithLabels}',
+  });
+
+/**
+ * Copy of the config that is safe to print: secrets and URL credentials are masked
+ * @param {Object} values
+ */
+const redact = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => {
+      if (value === undefined || value === null) return [key, value];
+      if (SECRET_PATTERN.test(key)) return [key, '[REDACTED]'];
+      if (typeof value === 'string') return [key, value.replace(/\/\/[^@/]*@/, '//[REDACTED]@')];
+      return [key, value];
+    })
+  );
+
+/**
+ * Validate and coerce environment variables. Empty variables count as unset.
+ * Throws a single error listing every problem.
+ * @param {Object} source - Usually process.env
+ */
+const loadEnv = (source) => {
+  const input = Object.fromEntries(Object.entries(source).filter(([, value]) => value !== ''));
+
+  const { error, value } = schema.validate(input, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const problems = error.details.map((detail) => `  - ${detail.message}`).join('\n');
+    const configError = new Error(`Invalid environment configuration:\n${problems}`);
+    configError.details = error.details;
+    throw configError;
+  }
+
+  return value;
 };
 
+let env;
+try {
+  env = loadEnv(process.env);
+} catch (error) {
+  // The logger reads its settings from here, so report straight to stderr and refuse to start
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+// Non-enumerable so spreading or iterating the config never includes it
+Object.defineProperty(env, 'redacted', { value: () => redact(env) });
+
 module.exports = env;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('./redis');
+const env = require('./env');
+
+// Claim a key unless it already has a record; returns the existing record or nil.
+// KEYS[1]: record key, ARGV[1]: processing record, ARGV[2]: lock ttl in seconds
+const BEGIN_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return existing
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+return false
+`;
+
+// Replace (or delete, when ARGV[2] is empty) a record only while it is still
+// held by the same request, so a request that outlived its lock can't clobber another's.
+// KEYS[1]: record key, ARGV[1]: token, ARGV[2]: completed record, ARGV[3]: ttl in seconds
+const FINISH_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if not existing or cjson.decode(existing).token ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == '' then
+  return redis.call('DEL', KEYS[1])
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+
+// Push back the expiry of a processing record while its request is still running.
+// KEYS[1]: record key, ARGV[1]: token, ARGV[2]: lock ttl in seconds
+const EXTEND_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if not existing or cjson.decode(existing).token ~= ARGV[1] then
+  return 0
+end
+return redis.call('EXPIRE', KEYS[1], ARGV[2])
+`;
+
+class IdempotencyStore {
+  constructor() {
+    this.ttl = env.IDEMPOTENCY_TTL; // How long responses are replayed (seconds)
+    this.lockTTL = env.IDEMPOTENCY_LOCK_TTL; // How long a request may hold its key (seconds)
+  }
+
+  getClient() {
+    return getRedisClient();
+  }
+
+  recordKey(scope, key) {
+    return `idempotency:${scope}:${key}`;
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {string} recordKey
+   * @param {string} fingerprint - Hash of the request
+   * @returns {Promise<Object>} { record } when the key was already used, { token } when claimed
+   */
+  async begin(recordKey, fingerprint) {
+    const token = crypto.randomUUID();
+    const processing = JSON.stringify({
+      state: 'processing',
+      token,
+      fingerprint,
+      startedAt: Date.now(),
+    });
+
+    const existing = await this.getClient().eval(
+      BEGIN_SCRIPT,
+      1,
+      recordKey,
+      processing,
+      this.lockTTL
+    );
+
+    return existing ? { record: JSON.parse(existing) } : { token };
+  }
+
+  /**
+   * Store the response to replay for later requests with the same key
+   * @param {string} recordKey
+   * @param {string} token - From begin()
+   * @param {Object} response - { fingerprint, status, headers, body, encoding }
+   * @returns {Promise<boolean>} false if the key was no longer held by this request
+   */
+  async complete(recordKey, token, response) {
+    const record = JSON.stringify({
+      state: 'completed',
+      token,
+      ...response,
+      completedAt: Date.now(),
+    });
+    const stored = await this.getClient().eval(
+      FINISH_SCRIPT,
+      1,
+      recordKey,
+      token,
+      record,
+      this.ttl
+    );
+    return stored === 1;
+  }
+
+  // Give up the key so the client can retry (failed or aborted request)
+  async release(recordKey, token) {
+    const released = await this.getClient().eval(FINISH_SCRIPT, 1, recordKey, token, '', 0);
+    return released === 1;
+  }
+
+  /**
+   * Keep holding the key while the request runs
+   * @returns {Promise<boolean>} false if the key was already lost
+   */
+  async extend(recordKey, token) {
+    const extended = await this.getClient().eval(EXTEND_SCRIPT, 1, recordKey, token, this.lockTTL);
+    return extended === 1;
+  }
+}
+
+// Singleton instance
+const idempotencyStore = new IdempotencyStore();
+
+module.exports = idempotencyStore;
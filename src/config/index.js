@@ -1,4 +1,3 @@
-require('dotenv').config();
 const env = require('./env');
 
 /**
@@ -7,10 +6,44 @@ const env = require('./env');
 const config = {
   port: env.PORT,
   env: env.NODE_ENV,
+  apiPrefix: env.API_PREFIX,
+
+  trustProxy: env.TRUST_PROXY,
 
   cors: {
     origin: env.CORS_ORIGIN,
   },
+
+  metrics: {
+    enabled: env.METRICS_ENABLED,
+    port: env.METRICS_PORT,
+    workerPort: env.WORKER_METRICS_PORT,
+  },
+
+  rateLimit: {
+    enabled: env.RATE_LIMIT_ENABLED,
+    limit: env.RATE_LIMIT_MAX,
+    window: env.RATE_LIMIT_WINDOW,
+    algorithm: env.RATE_LIMIT_ALGORITHM,
+  },
+
+  workers: {
+    enabled: env.ENABLE_QUEUE_WORKERS,
+  },
+
+  session: {
+    idleTTL: env.SESSION_IDLE_TTL,
+    maxAge: env.SESSION_MAX_AGE,
+    cookieName: env.SESSION_COOKIE_NAME,
+  },
+
+  jwt: {
+    secret: env.JWT_SECRET,
+    expiresIn: env.JWT_EXPIRES_IN,
+    refreshSecret: env.JWT_REFRESH_SECRET,
+    refreshExpiresIn: env.JWT_REFRESH_EXPIRES_IN,
+    issuer: env.JWT_ISSUER,
+  },
 };
 
 module.exports = config;
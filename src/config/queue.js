@@ -1,52 +1,32 @@
 const Queue = require('bull');
 const env = require('./env');
+const { getConnectionOptions } = require('./redis');
+const logger = require('../utils/logger').child({ component: 'queue' });
+const { getRequestId } = require('../utils/context');
+const metrics = require('../utils/metrics');
+
+const DEAD_LETTER_SUFFIX = '-dlq';
+
+// Queues the application enqueues to, whether or not this process has opened them yet
+const DEFAULT_QUEUES = ['booking-processing', 'notifications', 'analytics', 'integrations'];
+
+// Job options carried over when a dead-lettered job is replayed
+const REPLAYABLE_OPTIONS = ['priority', 'attempts', 'backoff', 'timeout', 'lifo'];
 
 class QueueManager {
   constructor() {
     this.queues = {};
 
-    // Check if using cloud Redis (Upstash or similar)
-    const isCloudRedis = env.REDIS_URL || (env.REDIS_HOST && !env.REDIS_HOST.includes('localhost'));
-
     this.redisConfig = {
       redis: {
-        port: env.REDIS_PORT,
-        host: env.REDIS_HOST,
-        password: env.REDIS_PASSWORD,
-        db: env.REDIS_QUEUE_DB,
+        ...getConnectionOptions(env.REDIS_QUEUE_DB),
         connectTimeout: 60000,
         lazyConnect: false,
         maxRetriesPerRequest: 3,
         retryDelayOnFailover: 1000,
         enableOfflineQueue: true,
-        // Add TLS for cloud Redis providers
-        ...(isCloudRedis && {
-          tls: {
-            rejectUnauthorized: false,
-          },
-        }),
       },
     };
-
-    // Use Redis URL if provided (for cloud providers like Upstash)
-    if (env.REDIS_URL) {
-      this.redisConfig = {
-        redis: {
-          port: env.REDIS_PORT,
-          host: env.REDIS_HOST,
-          password: env.REDIS_PASSWORD,
-          db: env.REDIS_QUEUE_DB,
-          connectTimeout: 60000,
-          lazyConnect: false,
-          maxRetriesPerRequest: 3,
-          retryDelayOnFailover: 1000,
-          enableOfflineQueue: true,
-          tls: {
-            rejectUnauthorized: false,
-          },
-        },
-      };
-    }
   }
 
   // Create or get existing queue
@@ -68,29 +48,39 @@ class QueueManager {
 
       // Queue event handlers
       this.queues[queueName].on('error', (error) => {
-        console.log(error);
-
-        console.error(`❌ Queue ${queueName} error:`, error.message);
+        logger.error('Queue error', { queue: queueName, error });
       });
 
       this.queues[queueName].on('waiting', (jobId) => {
-        console.log(`⏳ Job ${jobId} waiting in ${queueName}`);
+        logger.debug('Job waiting', { queue: queueName, jobId });
       });
 
       this.queues[queueName].on('active', (job) => {
-        console.log(`🚀 Job ${job.id} started in ${queueName}`);
+        logger.debug('Job started', { queue: queueName, jobId: job.id, jobType: job.name });
       });
 
       this.queues[queueName].on('completed', (job, _result) => {
-        console.log(`✅ Job ${job.id} completed in ${queueName}`);
+        metrics.observeJob(queueName, job, 'completed');
+        logger.info('Job completed', { queue: queueName, jobId: job.id, jobType: job.name });
       });
 
       this.queues[queueName].on('failed', (job, err) => {
-        console.error(`❌ Job ${job.id} failed in ${queueName}:`, err.message);
+        metrics.observeJob(queueName, job, 'failed');
+        logger.error('Job failed', {
+          queue: queueName,
+          jobId: job.id,
+          jobType: job.name,
+          attemptsMade: job.attemptsMade,
+          error: err.message,
+        });
+
+        if (!this.isDeadLetterQueue(queueName) && this.hasExhaustedAttempts(job)) {
+          this.moveToDeadLetter(queueName, job, err);
+        }
       });
 
       this.queues[queueName].on('stalled', (job) => {
-        console.warn(`⚠️ Job ${job.id} stalled in ${queueName}`);
+        logger.warn('Job stalled', { queue: queueName, jobId: job.id, jobType: job.name });
       });
     }
 
@@ -133,12 +123,20 @@ class QueueManager {
 
     const jobOptions = { ...defaultOptions, ...options };
 
+    // Carry the originating request id so worker logs can be traced back to it.
+    // An id already on the job (e.g. a replay) wins.
+    const requestId = getRequestId();
+    const jobData =
+      requestId && data && typeof data === 'object' && !Array.isArray(data)
+        ? { ...data, _meta: { requestId, ...data._meta } }
+        : data;
+
     try {
-      const job = await queue.add(jobType, data, jobOptions);
-      console.log(`📋 Job ${job.id} added to ${queueName}: ${jobType}`);
+      const job = await queue.add(jobType, jobData, jobOptions);
+      logger.info('Job added', { queue: queueName, jobId: job.id, jobType });
       return job;
     } catch (error) {
-      console.error(`Failed to add job to ${queueName}:`, error.message);
+      logger.error('Failed to add job', { queue: queueName, jobType, error: error.message });
       throw error;
     }
   }
@@ -185,35 +183,43 @@ class QueueManager {
   }
 
   // Queue management methods
+  getQueueNames() {
+    const names = new Set([...DEFAULT_QUEUES, ...Object.keys(this.queues)]);
+    return [...names].filter((queueName) => !this.isDeadLetterQueue(queueName));
+  }
+
+  hasQueue(queueName) {
+    return this.getQueueNames().includes(queueName);
+  }
+
   async getQueueStats(queueName) {
     const queue = this.getQueue(queueName);
 
     try {
-      const [waiting, active, completed, failed, delayed] = await Promise.all([
-        queue.getWaiting(),
-        queue.getActive(),
-        queue.getCompleted(),
-        queue.getFailed(),
-        queue.getDelayed(),
-      ]);
-
-      return {
-        waiting: waiting.length,
-        active: active.length,
-        completed: completed.length,
-        failed: failed.length,
-        delayed: delayed.length,
-      };
+      return await queue.getJobCounts(
+        'waiting',
+        'active',
+        'completed',
+        'failed',
+        'delayed',
+        'paused'
+      );
     } catch (error) {
-      console.error(`Error getting stats for ${queueName}:`, error.message);
+      logger.error('Error getting queue stats', { queue: queueName, error: error.message });
       return null;
     }
   }
 
+  // Every known queue and its dead letter queue, whether or not this process has opened them,
+  // so the API (which may never enqueue) reports the same counts as the worker
   async getAllQueueStats() {
     const stats = {};
+    const queueNames = this.getQueueNames().flatMap((queueName) => [
+      queueName,
+      `${queueName}${DEAD_LETTER_SUFFIX}`,
+    ]);
 
-    for (const queueName of Object.keys(this.queues)) {
+    for (const queueName of queueNames) {
       stats[queueName] = await this.getQueueStats(queueName);
     }
 
@@ -228,52 +234,213 @@ class QueueManager {
     try {
       await queue.clean(grace, 'completed');
       await queue.clean(grace, 'failed');
-      console.log(`🧹 Cleaned queue ${queueName}`);
+      logger.info('Queue cleaned', { queue: queueName, grace });
     } catch (error) {
-      console.error(`Error cleaning queue ${queueName}:`, error.message);
+      logger.error('Error cleaning queue', { queue: queueName, error: error.message });
+      throw error;
     }
   }
 
+  // Best effort: one queue failing doesn't stop the others from being cleaned
   async cleanAllQueues() {
     for (const queueName of Object.keys(this.queues)) {
-      await this.cleanQueue(queueName);
+      await this.cleanQueue(queueName).catch(() => {});
     }
   }
 
+  // Job inspection and control
+  async getJobs(queueName, state, start = 0, end = 19) {
+    const queue = this.getQueue(queueName);
+    // Oldest first for pending states, most recent first for finished ones
+    const asc = !['completed', 'failed'].includes(state);
+    const jobs = await queue.getJobs([state], start, end, asc);
+    return jobs.filter(Boolean);
+  }
+
+  async getJob(queueName, jobId) {
+    return await this.getQueue(queueName).getJob(jobId);
+  }
+
+  async getJobLogs(queueName, jobId) {
+    const { logs } = await this.getQueue(queueName).getJobLogs(jobId);
+    return logs;
+  }
+
+  async retryJob(queueName, job) {
+    await job.retry();
+    logger.info('Job retried', { queue: queueName, jobId: job.id });
+  }
+
+  async promoteJob(queueName, job) {
+    await job.promote();
+    logger.info('Job promoted', { queue: queueName, jobId: job.id });
+  }
+
+  async removeJob(queueName, job) {
+    await job.remove();
+    logger.info('Job removed', { queue: queueName, jobId: job.id });
+  }
+
   // Pause/Resume queues
+  async isQueuePaused(queueName) {
+    return await this.getQueue(queueName).isPaused();
+  }
+
   async pauseQueue(queueName) {
     const queue = this.getQueue(queueName);
     await queue.pause();
-    console.log(`⏸️ Queue ${queueName} paused`);
+    logger.info('Queue paused', { queue: queueName });
   }
 
   async resumeQueue(queueName) {
     const queue = this.getQueue(queueName);
     await queue.resume();
-    console.log(`▶️ Queue ${queueName} resumed`);
+    logger.info('Queue resumed', { queue: queueName });
+  }
+
+  // Dead-letter queues
+  isDeadLetterQueue(queueName) {
+    return queueName.endsWith(DEAD_LETTER_SUFFIX);
+  }
+
+  getDeadLetterQueue(queueName) {
+    return this.getQueue(`${queueName}${DEAD_LETTER_SUFFIX}`);
+  }
+
+  hasExhaustedAttempts(job) {
+    return job.isDiscarded() || job.attemptsMade >= (job.opts.attempts || 1);
+  }
+
+  // Copy a job that used up its retries into `<queue>-dlq`. Never processed, never auto-removed.
+  async moveToDeadLetter(queueName, job, err) {
+    const dlq = this.getDeadLetterQueue(queueName);
+    const stacktrace = job.stacktrace || [];
+
+    const entry = {
+      queue: queueName,
+      jobId: job.id,
+      jobType: job.name,
+      data: job.data,
+      opts: REPLAYABLE_OPTIONS.reduce((acc, key) => {
+        if (job.opts[key] !== undefined) acc[key] = job.opts[key];
+        return acc;
+      }, {}),
+      failedReason: err ? err.message : job.failedReason,
+      stack: err ? err.stack : stacktrace[stacktrace.length - 1],
+      attemptsMade: job.attemptsMade,
+      attempts: stacktrace.map((stack, index) => ({ attempt: index + 1, stack })),
+      createdAt: new Date(job.timestamp).toISOString(),
+      deadLetteredAt: new Date().toISOString(),
+    };
+
+    try {
+      // Deterministic id so a repeated failed event doesn't dead-letter twice
+      const deadLetter = await dlq.add(job.name, entry, {
+        jobId: `${queueName}:${job.id}`,
+        removeOnComplete: false,
+        removeOnFail: false,
+      });
+      logger.warn('Job moved to dead-letter queue', { queue: queueName, jobId: job.id });
+      return deadLetter;
+    } catch (error) {
+      logger.error('Failed to dead-letter job', {
+        queue: queueName,
+        jobId: job.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  async listDeadLetters(queueName, start = 0, end = 49) {
+    const dlq = this.getDeadLetterQueue(queueName);
+    const jobs = await dlq.getWaiting(start, end);
+
+    return jobs.map((job) => ({
+      id: job.id,
+      jobId: job.data.jobId,
+      jobType: job.data.jobType,
+      failedReason: job.data.failedReason,
+      attemptsMade: job.data.attemptsMade,
+      deadLetteredAt: job.data.deadLetteredAt,
+    }));
+  }
+
+  async countDeadLetters(queueName) {
+    return await this.getDeadLetterQueue(queueName).getWaitingCount();
+  }
+
+  async getDeadLetter(queueName, deadLetterId) {
+    const job = await this.getDeadLetterQueue(queueName).getJob(deadLetterId);
+    return job ? { id: job.id, ...job.data } : null;
+  }
+
+  // Re-enqueue a dead-lettered job on its original queue and drop it from the DLQ
+  async replayDeadLetter(queueName, deadLetterId) {
+    const deadLetter = await this.getDeadLetterQueue(queueName).getJob(deadLetterId);
+    if (!deadLetter) return null;
+
+    const { jobType, data, opts } = deadLetter.data;
+    const job = await this.addJob(queueName, jobType, data, opts);
+    await deadLetter.remove();
+
+    logger.info('Dead-lettered job replayed', { queue: queueName, deadLetterId, jobId: job.id });
+    return job;
+  }
+
+  async replayDeadLetters(queueName, limit = 100) {
+    const deadLetters = await this.listDeadLetters(queueName, 0, limit - 1);
+
+    const results = await Promise.allSettled(
+      deadLetters.map((deadLetter) => this.replayDeadLetter(queueName, deadLetter.id))
+    );
+
+    return {
+      replayed: results.filter((result) => result.status === 'fulfilled' && result.value).length,
+      failed: results.filter((result) => result.status === 'rejected').length,
+    };
+  }
+
+  async discardDeadLetter(queueName, deadLetterId) {
+    const deadLetter = await this.getDeadLetterQueue(queueName).getJob(deadLetterId);
+    if (!deadLetter) return false;
+
+    await deadLetter.remove();
+    logger.info('Dead-lettered job discarded', { queue: queueName, deadLetterId });
+    return true;
+  }
+
+  async discardAllDeadLetters(queueName) {
+    const count = await this.countDeadLetters(queueName);
+    await this.getDeadLetterQueue(queueName).empty();
+    logger.info('Dead-lettered jobs discarded', { queue: queueName, count });
+    return count;
   }
 
   // Graceful shutdown
   async closeAll() {
-    console.log('🔄 Closing all queues...');
+    logger.info('Closing all queues');
 
     for (const [queueName, queue] of Object.entries(this.queues)) {
       try {
         await queue.close();
-        console.log(`✅ Queue ${queueName} closed`);
+        logger.debug('Queue closed', { queue: queueName });
       } catch (error) {
-        console.error(`❌ Error closing queue ${queueName}:`, error.message);
+        logger.error('Error closing queue', { queue: queueName, error: error.message });
       }
     }
 
     this.queues = {};
-    console.log('🔌 All queues closed');
+    logger.info('All queues closed');
   }
 
-  // Health check
+  // Health check. Covers every known queue, not just the ones this process has opened,
+  // so an API process without workers still talks to Bull.
   async healthCheck() {
     try {
-      const stats = await this.getAllQueueStats();
+      const names = this.getQueueNames();
+      const counts = await Promise.all(names.map((queueName) => this.getQueueStats(queueName)));
+      const stats = Object.fromEntries(names.map((queueName, i) => [queueName, counts[i]]));
       return {
         healthy: true,
         queues: stats,
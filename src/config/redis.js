@@ -1,5 +1,43 @@
 const Redis = require('ioredis');
 const env = require('./env');
+const logger = require('../utils/logger').child({ component: 'redis' });
+const { instrumentRedis } = require('../utils/metrics');
+const { buildTlsOptions } = require('./tls');
+
+/**
+ * Connection settings shared by the Redis client and Bull queues.
+ * REDIS_URL (redis:// or rediss://) takes precedence over REDIS_HOST/PORT/PASSWORD;
+ * the database is always chosen by the caller.
+ * @param {number} db
+ */
+const getConnectionOptions = (db) => {
+  const options = {
+    host: env.REDIS_HOST,
+    port: env.REDIS_PORT,
+    password: env.REDIS_PASSWORD,
+    db,
+  };
+
+  if (env.REDIS_URL) {
+    const url = new URL(env.REDIS_URL);
+    options.host = url.hostname;
+    options.port = parseInt(url.port) || 6379;
+    if (url.username) options.username = decodeURIComponent(url.username);
+    if (url.password) options.password = decodeURIComponent(url.password);
+  }
+
+  const tls = buildTlsOptions({
+    enabled: env.REDIS_TLS,
+    ca: env.REDIS_TLS_CA,
+    cert: env.REDIS_TLS_CERT,
+    key: env.REDIS_TLS_KEY,
+    servername: env.REDIS_TLS_SERVERNAME,
+    rejectUnauthorized: env.REDIS_TLS_REJECT_UNAUTHORIZED,
+  });
+  if (tls) options.tls = tls;
+
+  return options;
+};
 
 class RedisConnection {
   constructor() {
@@ -13,14 +51,8 @@ class RedisConnection {
     }
 
     try {
-      const isCloudRedis =
-        env.REDIS_URL || (env.REDIS_HOST && !env.REDIS_HOST.includes('localhost'));
-
-      const redisConfig = {
-        host: env.REDIS_HOST,
-        port: env.REDIS_PORT,
-        password: env.REDIS_PASSWORD,
-        db: env.REDIS_DB,
+      this.client = new Redis({
+        ...getConnectionOptions(env.REDIS_DB),
         retryDelayOnFailover: 500,
         enableReadyCheck: true,
         maxRetriesPerRequest: 5,
@@ -30,52 +62,27 @@ class RedisConnection {
         commandTimeout: 30000,
         family: 4,
         keepAlive: 30000,
-        // Cloud Redis specific settings
-        ...(isCloudRedis && {
-          tls: {
-            rejectUnauthorized: false,
-          },
-          connectTimeout: 60000,
-          lazyConnect: true,
-          maxRetriesPerRequest: null,
-          retryDelayOnFailover: 1000,
-          enableOfflineQueue: false,
-        }),
-      };
-
-      // Use Redis URL if provided (common for cloud providers)
-      if (env.REDIS_URL) {
-        this.client = new Redis(env.REDIS_URL, {
-          connectTimeout: 60000,
-          lazyConnect: true,
-          maxRetriesPerRequest: null,
-          retryDelayOnFailover: 1000,
-          enableOfflineQueue: false,
-          tls: {
-            rejectUnauthorized: false,
-          },
-        });
-      } else {
-        this.client = new Redis(redisConfig);
-      }
+      });
+
+      instrumentRedis(this.client);
 
       this.client.on('connect', () => {
-        console.log('✅ Redis connected successfully');
+        logger.info('Redis connected');
         this.isConnected = true;
       });
 
       this.client.on('error', (err) => {
-        console.error('❌ Redis connection error:', err.message);
+        logger.error('Redis connection error', { error: err.message });
         this.isConnected = false;
       });
 
       this.client.on('close', () => {
-        console.log('🔌 Redis connection closed');
+        logger.info('Redis connection closed');
         this.isConnected = false;
       });
 
       this.client.on('reconnecting', () => {
-        console.log('🔄 Redis reconnecting...');
+        logger.warn('Redis reconnecting');
       });
 
       await this.client.connect();
@@ -85,7 +92,7 @@ class RedisConnection {
 
       return this.client;
     } catch (error) {
-      console.error('❌ Failed to connect to Redis:', error.message);
+      logger.error('Failed to connect to Redis', { error: error.message });
       throw error;
     }
   }
@@ -95,7 +102,7 @@ class RedisConnection {
       await this.client.quit();
       this.client = null;
       this.isConnected = false;
-      console.log('🔌 Redis disconnected');
+      logger.info('Redis disconnected');
     }
   }
 
@@ -112,7 +119,7 @@ class RedisConnection {
       const result = await this.client.ping();
       return result === 'PONG';
     } catch (error) {
-      console.error('Redis health check failed:', error.message);
+      logger.warn('Redis health check failed', { error: error.message });
       return false;
     }
   }
@@ -123,6 +130,7 @@ const redisConnection = new RedisConnection();
 
 module.exports = {
   redisConnection,
+  getConnectionOptions,
   getRedisClient: () => redisConnection.getClient(),
   connectRedis: () => redisConnection.connect(),
   disconnectRedis: () => redisConnection.disconnect(),
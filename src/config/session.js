@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('./redis');
+const env = require('./env');
+
+// Refresh a session only while it still exists, so a touch racing rotate(), destroy()
+// or destroyUserSessions() can't write a removed session back.
+// KEYS[1]: session key, KEYS[2]: user index key
+// ARGV[1]: session JSON, ARGV[2]: session ttl, ARGV[3]: expiresAt, ARGV[4]: session id, ARGV[5]: index ttl
+const TOUCH_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[4])
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return 1
+`;
+
+class SessionStore {
+  constructor() {
+    this.idleTTL = env.SESSION_IDLE_TTL; // Sliding expiry (seconds)
+    this.maxAge = env.SESSION_MAX_AGE; // Absolute lifetime (seconds)
+  }
+
+  getClient() {
+    return getRedisClient();
+  }
+
+  generateId() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  sessionKey(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  // Sorted set of a user's session ids, scored by absolute expiry
+  userIndexKey(userId) {
+    return `user_sessions:${userId}`;
+  }
+
+  // Remaining Redis TTL: idle timeout, capped by the absolute lifetime
+  getTTL(session, now = Date.now()) {
+    return Math.min(this.idleTTL, Math.ceil((session.expiresAt - now) / 1000));
+  }
+
+  // Queue the writes that persist a session and index it under its user
+  addSaveCommands(multi, session) {
+    multi.set(this.sessionKey(session.id), JSON.stringify(session), 'EX', this.getTTL(session));
+    multi.zadd(this.userIndexKey(session.userId), session.expiresAt, session.id);
+    multi.expire(this.userIndexKey(session.userId), this.maxAge);
+    return multi;
+  }
+
+  /**
+   * Start a new session
+   * @param {string|number} userId
+   * @param {Object} data - Arbitrary session data (e.g. role)
+   * @param {Object} meta - { ip, userAgent } shown when listing a user's devices
+   */
+  async create(userId, data = {}, { ip = null, userAgent = null } = {}) {
+    const now = Date.now();
+    const session = {
+      id: this.generateId(),
+      userId: String(userId),
+      data,
+      ip,
+      userAgent,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + this.maxAge * 1000,
+    };
+
+    await this.addSaveCommands(this.getClient().multi(), session).exec();
+    return session;
+  }
+
+  // Load a session, or null if it is missing, idle-expired or past its absolute lifetime
+  async get(sessionId) {
+    const raw = await this.getClient().get(this.sessionKey(sessionId));
+    if (!raw) return null;
+
+    const session = JSON.parse(raw);
+    if (session.expiresAt <= Date.now()) {
+      await this.destroy(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record activity and slide the idle expiry forward
+   * @returns {Object|null} The session, or null if it was removed since it was read
+   */
+  async touch(session) {
+    session.lastSeenAt = Date.now();
+    const touched = await this.getClient().eval(
+      TOUCH_SCRIPT,
+      2,
+      this.sessionKey(session.id),
+      this.userIndexKey(session.userId),
+      JSON.stringify(session),
+      this.getTTL(session),
+      session.expiresAt,
+      session.id,
+      this.maxAge
+    );
+    return touched ? session : null;
+  }
+
+  /**
+   * Replace a session id with a fresh one, e.g. on login or privilege change.
+   * Keeps the original absolute expiry; `data` is merged into the session data.
+   * @returns {Object|null} The new session, or null if the old one no longer exists
+   */
+  async rotate(sessionId, data = {}) {
+    const session = await this.get(sessionId);
+    if (!session) return null;
+
+    const rotated = {
+      ...session,
+      id: this.generateId(),
+      data: { ...session.data, ...data },
+      lastSeenAt: Date.now(),
+    };
+
+    const multi = this.getClient().multi();
+    multi.del(this.sessionKey(sessionId));
+    multi.zrem(this.userIndexKey(session.userId), sessionId);
+    await this.addSaveCommands(multi, rotated).exec();
+
+    return rotated;
+  }
+
+  async destroy(sessionId) {
+    const client = this.getClient();
+    const raw = await client.get(this.sessionKey(sessionId));
+
+    const multi = client.multi().del(this.sessionKey(sessionId));
+    if (raw) {
+      multi.zrem(this.userIndexKey(JSON.parse(raw).userId), sessionId);
+    }
+    await multi.exec();
+
+    return Boolean(raw);
+  }
+
+  // Active sessions for a user (their signed-in devices), most recently used first
+  async listUserSessions(userId) {
+    const client = this.getClient();
+    const indexKey = this.userIndexKey(userId);
+
+    await client.zremrangebyscore(indexKey, '-inf', Date.now());
+    const sessionIds = await client.zrange(indexKey, 0, -1);
+    if (sessionIds.length === 0) return [];
+
+    const raws = await client.mget(sessionIds.map((id) => this.sessionKey(id)));
+
+    // Drop index entries whose session already idled out
+    const gone = sessionIds.filter((_id, i) => !raws[i]);
+    if (gone.length > 0) {
+      await client.zrem(indexKey, ...gone);
+    }
+
+    return raws
+      .filter(Boolean)
+      .map((raw) => JSON.parse(raw))
+      .map(({ id, ip, userAgent, createdAt, lastSeenAt, expiresAt }) => ({
+        id,
+        ip,
+        userAgent,
+        createdAt,
+        lastSeenAt,
+        expiresAt,
+      }))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  /**
+   * Log out everywhere
+   * @param {string|number} userId
+   * @param {Object} options
+   * @param {string} options.except - Session id to keep (the current device)
+   * @returns {number} Sessions destroyed
+   */
+  async destroyUserSessions(userId, { except = null } = {}) {
+    const client = this.getClient();
+    const indexKey = this.userIndexKey(userId);
+
+    const sessionIds = (await client.zrange(indexKey, 0, -1)).filter((id) => id !== except);
+    if (sessionIds.length === 0) return 0;
+
+    await client
+      .multi()
+      .del(...sessionIds.map((id) => this.sessionKey(id)))
+      .zrem(indexKey, ...sessionIds)
+      .exec();
+
+    return sessionIds.length;
+  }
+}
+
+// Singleton instance
+const sessionStore = new SessionStore();
+
+module.exports = sessionStore;
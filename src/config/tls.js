@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+/**
+ * Node TLS options for Redis and Postgres connections.
+ * Certificate verification stays on unless explicitly disabled.
+ * @param {Object} options
+ * @param {boolean} options.enabled
+ * @param {string} [options.ca] - Path to a PEM CA bundle
+ * @param {string} [options.cert] - Path to a PEM client certificate
+ * @param {string} [options.key] - Path to the client certificate's PEM private key
+ * @param {string} [options.servername] - SNI / certificate host name, when it differs from the host
+ * @param {boolean} [options.rejectUnauthorized=true]
+ * @returns {Object|null} null when TLS is disabled
+ */
+const buildTlsOptions = ({ enabled, ca, cert, key, servername, rejectUnauthorized = true }) => {
+  if (!enabled) return null;
+
+  return {
+    rejectUnauthorized,
+    ...(ca && { ca: fs.readFileSync(ca) }),
+    ...(cert && { cert: fs.readFileSync(cert) }),
+    ...(key && { key: fs.readFileSync(key) }),
+    ...(servername && { servername }),
+  };
+};
+
+module.exports = {
+  buildTlsOptions,
+};
@@ -0,0 +1,114 @@
+/**
+ * Database command line
+ *
+ *   node src/database/cli.js status
+ *   node src/database/cli.js up [--to=<migration>]
+ *   node src/database/cli.js down [--step=<n>] [--to=<migration>]
+ *   node src/database/cli.js to <migration|0>
+ *   node src/database/cli.js seed | seed:status | seed:undo [--step=<n>]
+ *   node src/database/cli.js generate migration <name>
+ *   node src/database/cli.js generate model <Name> [--module=<module>]
+ *   node src/database/cli.js generate seeder <name>
+ */
+const path = require('path');
+const { closeDB } = require('./connection');
+const { migrator, seeder } = require('./migrator');
+const { generateMigration, generateModel, generateSeeder } = require('./generator');
+
+const USAGE = `Usage: node src/database/cli.js <command>
+
+  status                             List applied and pending migrations
+  up [--to=<migration>]              Apply pending migrations
+  down [--step=<n>] [--to=<name>]    Revert the last migration(s)
+  to <migration|0>                   Migrate up or down to a migration (0 reverts all)
+  seed                               Run pending seeders
+  seed:status                        List applied and pending seeders
+  seed:undo [--step=<n>]             Revert the last seeder(s)
+  generate migration <name>          Create a timestamped migration
+  generate model <Name> [--module=]  Create a model and its create-table migration
+  generate seeder <name>             Create a timestamped seeder`;
+
+// --key=value flags and positional arguments
+const parseArgs = (argv) =>
+  argv.reduce(
+    (parsed, arg) => {
+      const match = /^--([^=]+)=(.*)$/.exec(arg);
+      if (match) {
+        parsed.options[match[1]] = match[2];
+      } else {
+        parsed.args.push(arg);
+      }
+      return parsed;
+    },
+    { args: [], options: {} }
+  );
+
+const printStatus = ({ executed, pending }) => {
+  executed.forEach((name) => console.log(`  up       ${name}`));
+  pending.forEach((name) => console.log(`  pending  ${name}`));
+  console.log(`\n${executed.length} applied, ${pending.length} pending`);
+};
+
+const printFiles = (verb, files) => {
+  files.forEach((name) => console.log(`  ${verb}  ${name}`));
+  if (files.length === 0) console.log('  Nothing to do');
+};
+
+const relative = (file) => path.relative(process.cwd(), file);
+
+const generators = {
+  migration: ([name]) => [generateMigration(name)],
+  model: ([name], options) => generateModel(name, options),
+  seeder: ([name]) => [generateSeeder(name)],
+};
+
+const commands = {
+  status: () => migrator.status().then(printStatus),
+  up: (_args, { to }) => migrator.up({ to }).then((files) => printFiles('applied', files)),
+  down: (_args, { step = '1', to }) =>
+    migrator.down({ step: Number(step), to }).then((files) => printFiles('reverted', files)),
+  to: ([name]) => {
+    if (!name) throw new Error('Usage: to <migration|0>');
+    return migrator
+      .to(name)
+      .then(({ direction, files }) =>
+        printFiles(direction === 'up' ? 'applied' : 'reverted', files)
+      );
+  },
+  seed: () => seeder.up().then((files) => printFiles('applied', files)),
+  'seed:status': () => seeder.status().then(printStatus),
+  'seed:undo': (_args, { step = '1' }) =>
+    seeder.down({ step: Number(step) }).then((files) => printFiles('reverted', files)),
+};
+
+const main = async () => {
+  const [command, ...rest] = process.argv.slice(2);
+  const { args, options } = parseArgs(rest);
+
+  // Generators only write files; no database connection needed
+  if (command === 'generate') {
+    const [kind, ...generatorArgs] = args;
+    if (!generators[kind] || !generatorArgs[0]) {
+      throw new Error(USAGE);
+    }
+    generators[kind](generatorArgs, options).forEach((file) =>
+      console.log(`  created  ${relative(file)}`)
+    );
+    return;
+  }
+
+  if (!commands[command]) {
+    throw new Error(USAGE);
+  }
+
+  try {
+    await commands[command](args, options);
+  } finally {
+    await closeDB();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
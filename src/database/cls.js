@@ -0,0 +1,24 @@
+const { getContext, runWithContext, setContextValue } = require('../utils/context');
+
+/**
+ * cls-hooked style namespace backed by the request context (AsyncLocalStorage).
+ * Passed to Sequelize.useCLS so queries pick up the current transaction without
+ * it being threaded through every call.
+ */
+const namespace = {
+  get: (key) => getContext()[key],
+
+  set: (key, value) => {
+    setContextValue(key, value);
+    return value;
+  },
+
+  // New child context, inheriting the current values
+  run: (fn) => runWithContext({}, () => fn(getContext())),
+
+  bind: (fn, context = getContext()) => {
+    return (...args) => runWithContext(context, () => fn(...args));
+  },
+};
+
+module.exports = namespace;
@@ -1,6 +1,12 @@
 const { Sequelize } = require('sequelize');
 const databaseConfig = require('../config/database');
 const env = require('../config/env');
+const logger = require('../utils/logger').child({ component: 'database' });
+const { replicaMonitor, routeReads } = require('./replication');
+const namespace = require('./cls');
+
+// Automatic transaction propagation, see database/transaction.js
+Sequelize.useCLS(namespace);
 
 const sequelize = new Sequelize(
   databaseConfig.database,
@@ -12,24 +18,31 @@ const sequelize = new Sequelize(
     dialect: databaseConfig.dialect,
     dialectOptions: databaseConfig.dialectOptions,
     pool: databaseConfig.pool,
+    // Only when replicas are configured: an undefined value would replace Sequelize's `false`
+    ...(databaseConfig.replication && { replication: databaseConfig.replication }),
     logging: databaseConfig.logging,
+    benchmark: databaseConfig.benchmark,
     define: databaseConfig.define,
   }
 );
 
+if (replicaMonitor.enabled) {
+  sequelize.addHook('beforePoolAcquire', routeReads);
+}
+
 const connectDB = async () => {
   try {
     await sequelize.authenticate();
-    console.log('✅ PostgreSQL database connected successfully');
+    logger.info('PostgreSQL database connected', {
+      database: databaseConfig.database,
+      host: `${databaseConfig.host}:${databaseConfig.port}`,
+    });
 
-    if (env.NODE_ENV === 'development') {
-      console.log(`📊 Connected to database: ${databaseConfig.database}`);
-      console.log(`🔗 Host: ${databaseConfig.host}:${databaseConfig.port}`);
-    }
+    await replicaMonitor.start();
 
     return sequelize;
   } catch (error) {
-    console.error('❌ Unable to connect to the database:', error);
+    logger.error('Unable to connect to the database', error);
     throw error;
   }
 };
@@ -41,19 +54,20 @@ const syncDatabase = async (force = false) => {
     }
 
     await sequelize.sync({ force });
-    console.log(`✅ Database synced${force ? ' (forced)' : ''}`);
+    logger.info('Database synced', { force });
   } catch (error) {
-    console.error('❌ Database sync failed:', error);
+    logger.error('Database sync failed', error);
     throw error;
   }
 };
 
 const closeDB = async () => {
   try {
+    replicaMonitor.stop();
     await sequelize.close();
-    console.log('✅ Database connection closed');
+    logger.info('Database connection closed');
   } catch (error) {
-    console.error('❌ Error closing database connection:', error);
+    logger.error('Error closing database connection', error);
     throw error;
   }
 };
@@ -0,0 +1,120 @@
+const { DataTypes, Op, OptimisticLockError } = require('sequelize');
+const sequelize = require('./connection');
+const { getContext } = require('../utils/context');
+const { mapError } = require('../utils/errorMapping');
+const { ConflictError } = require('../utils/errors');
+
+const currentUserId = () => getContext().userId || null;
+
+// Explicit values (seeders, imports) win over the context
+const stampCreated = (instance, userId) => {
+  if (!instance.createdBy) instance.createdBy = userId;
+  if (!instance.updatedBy) instance.updatedBy = userId;
+};
+
+const withAuditColumns = (model) => {
+  model.addHook('beforeCreate', (instance) => stampCreated(instance, currentUserId()));
+
+  model.addHook('beforeBulkCreate', (instances) => {
+    const userId = currentUserId();
+    instances.forEach((instance) => stampCreated(instance, userId));
+  });
+
+  model.addHook('beforeUpdate', (instance) => {
+    if (!instance.changed('updatedBy')) instance.updatedBy = currentUserId();
+  });
+
+  // Model.update(values, { where }) skips instance hooks
+  model.addHook('beforeBulkUpdate', (options) => {
+    if (options.attributes.updatedBy !== undefined) return;
+    options.attributes.updatedBy = currentUserId();
+    if (options.fields && !options.fields.includes('updatedBy')) {
+      options.fields.push('updatedBy');
+    }
+  });
+};
+
+const withOptimisticLocking = (model) => {
+  // Sequelize bumps `version` on every save and throws when the row changed underneath;
+  // surface that as the same ConflictError the error handler would send
+  const { save } = model.prototype;
+  model.prototype.save = async function saveVersioned(...args) {
+    try {
+      return await save.apply(this, args);
+    } catch (error) {
+      throw error instanceof OptimisticLockError ? mapError(error) : error;
+    }
+  };
+
+  /**
+   * Reject a change based on an outdated read, e.g. the version a client sent back
+   * @param {number|string} expected
+   * @throws {ConflictError}
+   */
+  model.prototype.checkVersion = function checkVersion(expected) {
+    if (Number(expected) !== this.version) {
+      throw new ConflictError('Resource was modified by another request');
+    }
+    return this;
+  };
+};
+
+/**
+ * sequelize.define with opt-in conventions. Each feature needs its columns in the
+ * table's migration (id, deleted_at, created_by/updated_by, version).
+ *
+ * @param {string} name - Model name
+ * @param {Object} attributes
+ * @param {Object} options - Sequelize model options, plus:
+ * @param {boolean} options.uuid - UUID `id` primary key
+ * @param {boolean} options.softDelete - Paranoid deletes (deleted_at), instance/Model restore(),
+ *   and `withDeleted` / `onlyDeleted` scopes
+ * @param {boolean|Object} options.audit - created_by / updated_by from the request's userId;
+ *   pass { type } when user ids aren't UUIDs
+ * @param {boolean} options.versioned - `version` column; stale saves throw ConflictError
+ * @returns {Model}
+ */
+const defineModel = (
+  name,
+  attributes,
+  { uuid = false, softDelete = false, audit = false, versioned = false, ...options } = {}
+) => {
+  const auditType = (audit && audit.type) || DataTypes.UUID;
+
+  const model = sequelize.define(
+    name,
+    {
+      ...(uuid && {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+      }),
+      ...attributes,
+      ...(audit && {
+        createdBy: { type: auditType },
+        updatedBy: { type: auditType },
+      }),
+    },
+    {
+      ...options,
+      ...(softDelete && {
+        paranoid: true,
+        scopes: {
+          withDeleted: { paranoid: false },
+          onlyDeleted: { paranoid: false, where: { deletedAt: { [Op.ne]: null } } },
+          ...options.scopes,
+        },
+      }),
+      ...(versioned && { version: true }),
+    }
+  );
+
+  if (audit) withAuditColumns(model);
+  if (versioned) withOptimisticLocking(model);
+
+  return model;
+};
+
+module.exports = defineModel;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { Utils } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDERS_DIR = path.join(__dirname, 'seeders');
+const MODELS_DIR = path.join(__dirname, 'models');
+const MODULES_DIR = path.join(__dirname, '..', 'modules');
+
+// 20261019093000, the prefix that keeps migrations in order
+const timestamp = () => new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+
+// "AddBookingStatus" / "add booking status" -> "add-booking-status"
+const toKebab = (name) =>
+  name
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[\s_]+/g, '-')
+    .toLowerCase();
+
+// "booking-item" -> "BookingItem"
+const toPascal = (name) =>
+  toKebab(name)
+    .split('-')
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+// Same table name Sequelize derives with define.underscored: BookingItem -> booking_items
+const toTableName = (modelName) => Utils.underscore(Utils.pluralize(modelName));
+
+// Never overwrite an existing file
+const writeStub = (file, contents) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents, { flag: 'wx' });
+  return file;
+};
+
+const migrationStub = () => `module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('table_name', 'column_name', {
+      type: Sequelize.STRING,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('table_name', 'column_name');
+  },
+};
+`;
+
+const createTableStub = (table) => `module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('${table}', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('gen_random_uuid()'),
+        primaryKey: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()'),
+      },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('${table}');
+  },
+};
+`;
+
+const modelStub = (modelName, table, helperPath) => `const defineModel = require('${helperPath}');
+
+const ${modelName} = defineModel(
+  '${modelName}',
+  {},
+  {
+    tableName: '${table}',
+    timestamps: true,
+    underscored: true,
+    uuid: true,
+  }
+);
+
+module.exports = ${modelName};
+`;
+
+const seederStub = () => `module.exports = {
+  async up(queryInterface) {
+    const now = new Date();
+
+    await queryInterface.bulkInsert('table_name', [{ created_at: now, updated_at: now }]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('table_name', null, {});
+  },
+};
+`;
+
+/**
+ * Create an empty timestamped migration
+ * @param {string} name - e.g. add-booking-status
+ * @returns {string} Path of the new file
+ */
+const generateMigration = (name) =>
+  writeStub(path.join(MIGRATIONS_DIR, `${timestamp()}-${toKebab(name)}.js`), migrationStub());
+
+/**
+ * Create a model and the migration that creates its table
+ * @param {string} name - e.g. BookingItem
+ * @param {Object} options
+ * @param {string} options.module - Put the model in src/modules/<module> instead of database/models
+ * @returns {string[]} Paths of the new files
+ */
+const generateModel = (name, { module } = {}) => {
+  const modelName = toPascal(name);
+  const table = toTableName(modelName);
+
+  const modelFile = module
+    ? path.join(MODULES_DIR, module, `${toKebab(name)}.model.js`)
+    : path.join(MODELS_DIR, `${modelName}.js`);
+  const helperPath = module ? '../../database/defineModel' : '../defineModel';
+
+  return [
+    writeStub(modelFile, modelStub(modelName, table, helperPath)),
+    writeStub(
+      path.join(MIGRATIONS_DIR, `${timestamp()}-create-${table.replace(/_/g, '-')}.js`),
+      createTableStub(table)
+    ),
+  ];
+};
+
+/**
+ * Create a timestamped seeder
+ * @param {string} name - e.g. demo-users
+ * @returns {string} Path of the new file
+ */
+const generateSeeder = (name) =>
+  writeStub(path.join(SEEDERS_DIR, `${timestamp()}-${toKebab(name)}.js`), seederStub());
+
+module.exports = {
+  generateMigration,
+  generateModel,
+  generateSeeder,
+};
@@ -0,0 +1,69 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('outbox_messages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('gen_random_uuid()'),
+        primaryKey: true,
+      },
+      queue: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      job_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      options: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      request_id: {
+        type: Sequelize.STRING(100),
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+      },
+      available_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()'),
+      },
+      dispatched_at: {
+        type: Sequelize.DATE,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()'),
+      },
+    });
+
+    // Only undispatched rows are polled, so keep that index small
+    await queryInterface.addIndex('outbox_messages', ['available_at', 'created_at'], {
+      name: 'outbox_messages_pending_idx',
+      where: { dispatched_at: null },
+    });
+    await queryInterface.addIndex('outbox_messages', ['dispatched_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('outbox_messages');
+  },
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const sequelize = require('./connection');
+const logger = require('../utils/logger').child({ component: 'migrator' });
+
+// Arbitrary application-wide key for pg_advisory_lock; shared by every pod
+const MIGRATION_LOCK_ID = 727_140_001;
+
+/**
+ * Runs migration files in name (timestamp) order and records them in a meta table.
+ * Uses the same files and table as sequelize-cli, so both can be used on one database.
+ * A migration runs in a transaction with its bookkeeping unless it exports
+ * `transaction: false` (e.g. for CREATE INDEX CONCURRENTLY).
+ */
+class Migrator {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Folder of migration files
+   * @param {string} options.table - Meta table (SequelizeMeta for migrations, SequelizeData for seeders)
+   * @param {string} options.label - Used in log messages
+   */
+  constructor({ directory, table, label }) {
+    this.directory = directory;
+    this.table = table;
+    this.label = label;
+  }
+
+  listFiles() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith('.js'))
+      .sort();
+  }
+
+  // Always on the primary: a lagging replica would report already-run migrations as pending
+  query(sql, options = {}) {
+    return sequelize.query(sql, { useMaster: true, ...options });
+  }
+
+  async ensureTable() {
+    await this.query(
+      `CREATE TABLE IF NOT EXISTS "${this.table}" (name VARCHAR(255) NOT NULL PRIMARY KEY)`
+    );
+  }
+
+  async executed() {
+    await this.ensureTable();
+    const rows = await this.query(`SELECT name FROM "${this.table}" ORDER BY name`, {
+      type: Sequelize.QueryTypes.SELECT,
+    });
+    return rows.map((row) => row.name);
+  }
+
+  /**
+   * @returns {Promise<{ executed: string[], pending: string[] }>}
+   */
+  async status() {
+    const executed = await this.executed();
+    const pending = this.listFiles().filter((file) => !executed.includes(file));
+    return { executed, pending };
+  }
+
+  // Accept names with or without the .js extension
+  resolveName(name) {
+    const file = name.endsWith('.js') ? name : `${name}.js`;
+    if (!this.listFiles().includes(file)) {
+      throw new Error(`${this.label} "${name}" not found in ${this.directory}`);
+    }
+    return file;
+  }
+
+  async run(file, direction) {
+    const migration = require(path.join(this.directory, file));
+    if (typeof migration[direction] !== 'function') {
+      throw new Error(`${this.label} "${file}" has no ${direction}()`);
+    }
+
+    const started = Date.now();
+    const step = async () => {
+      await migration[direction](sequelize.getQueryInterface(), Sequelize);
+      await this.query(
+        direction === 'up'
+          ? `INSERT INTO "${this.table}" (name) VALUES (:file)`
+          : `DELETE FROM "${this.table}" WHERE name = :file`,
+        { replacements: { file } }
+      );
+    };
+
+    // Queries inside the callback join the transaction through CLS
+    if (migration.transaction === false) {
+      await step();
+    } else {
+      await sequelize.transaction(step);
+    }
+
+    logger.info(`${this.label} ${direction === 'up' ? 'applied' : 'reverted'}`, {
+      name: file,
+      durationMs: Date.now() - started,
+    });
+  }
+
+  /**
+   * Hold a session-level advisory lock on a dedicated primary connection while fn runs,
+   * so pods starting at the same time migrate one after another
+   */
+  async withLock(fn) {
+    const connection = await sequelize.connectionManager.getConnection({
+      type: 'write',
+      useMaster: true,
+    });
+
+    try {
+      const { rows } = await connection.query('SELECT pg_try_advisory_lock($1) AS locked', [
+        MIGRATION_LOCK_ID,
+      ]);
+      if (!rows[0].locked) {
+        logger.info('Waiting for another process to finish migrating');
+        await connection.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await connection.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    } finally {
+      sequelize.connectionManager.releaseConnection(connection);
+    }
+  }
+
+  // One after another, in the given order
+  async applyAll(files, direction) {
+    await files.reduce(
+      (previous, file) => previous.then(() => this.run(file, direction)),
+      Promise.resolve()
+    );
+    return files;
+  }
+
+  /**
+   * Apply pending files
+   * @param {Object} options
+   * @param {string} options.to - Stop after this one (inclusive)
+   * @returns {Promise<string[]>} Applied files
+   */
+  up({ to } = {}) {
+    return this.withLock(async () => {
+      const { pending } = await this.status();
+      const target = to ? this.resolveName(to) : null;
+
+      if (target && !pending.includes(target)) {
+        throw new Error(`${this.label} "${target}" is not pending`);
+      }
+
+      const files = target ? pending.filter((file) => file <= target) : pending;
+      if (files.length === 0) {
+        logger.info(`No pending ${this.label.toLowerCase()}s`);
+      }
+      return this.applyAll(files, 'up');
+    });
+  }
+
+  /**
+   * Revert the most recent files
+   * @param {Object} options
+   * @param {number} options.step - How many to revert (default 1)
+   * @param {string} options.to - Revert down to and including this one
+   * @returns {Promise<string[]>} Reverted files
+   */
+  down({ step = 1, to } = {}) {
+    return this.withLock(async () => {
+      const { executed } = await this.status();
+      const reversed = [...executed].reverse();
+      let files = reversed.slice(0, step);
+
+      if (to) {
+        const target = this.resolveName(to);
+        if (!executed.includes(target)) {
+          throw new Error(`${this.label} "${target}" has not been applied`);
+        }
+        files = reversed.filter((file) => file >= target);
+      }
+
+      return this.applyAll(files, 'down');
+    });
+  }
+
+  /**
+   * Migrate up or down so that `name` is the last applied file.
+   * '0' reverts everything.
+   * @param {string} name
+   * @returns {Promise<{ direction: string, files: string[] }>}
+   */
+  to(name) {
+    return this.withLock(async () => {
+      const { executed, pending } = await this.status();
+      const target = name === '0' ? null : this.resolveName(name);
+
+      if (target && pending.includes(target)) {
+        const files = pending.filter((file) => file <= target);
+        return { direction: 'up', files: await this.applyAll(files, 'up') };
+      }
+
+      const files = [...executed].reverse().filter((file) => !target || file > target);
+      return { direction: 'down', files: await this.applyAll(files, 'down') };
+    });
+  }
+}
+
+const migrator = new Migrator({
+  directory: path.join(__dirname, 'migrations'),
+  table: 'SequelizeMeta',
+  label: 'Migration',
+});
+
+const seeder = new Migrator({
+  directory: path.join(__dirname, 'seeders'),
+  table: 'SequelizeData',
+  label: 'Seeder',
+});
+
+module.exports = {
+  Migrator,
+  migrator,
+  seeder,
+  MIGRATION_LOCK_ID,
+};
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../connection');
+
+/**
+ * Queue job recorded in the same transaction as the data it belongs to.
+ * Published to Bull by the outbox relay (database/outbox.js).
+ */
+const OutboxMessage = sequelize.define(
+  'OutboxMessage',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    queue: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    jobType: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    // Bull job options (priority, attempts, delay, ...)
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    requestId: {
+      type: DataTypes.STRING(100),
+    },
+    // Failed publish attempts; retried after availableAt
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+    },
+    availableAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    dispatchedAt: {
+      type: DataTypes.DATE,
+    },
+  },
+  {
+    tableName: 'outbox_messages',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'outbox_messages_pending_idx',
+        fields: ['available_at', 'created_at'],
+        where: { dispatched_at: null },
+      },
+      { fields: ['dispatched_at'] },
+    ],
+  }
+);
+
+module.exports = OutboxMessage;
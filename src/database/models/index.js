@@ -1,25 +1,33 @@
 const fs = require('fs');
 const path = require('path');
 const sequelize = require('../connection');
+const { getModuleModelFiles } = require('../../modules');
+const logger = require('../../utils/logger');
 
 const basename = path.basename(__filename);
 
 const models = {};
 
 const loadModels = () => {
-  const files = fs.readdirSync(__dirname).filter((file) => {
-    return file.indexOf('.') !== 0 && file !== basename && file.slice(-3) === '.js';
-  });
+  const files = fs
+    .readdirSync(__dirname)
+    .filter((file) => {
+      return file.indexOf('.') !== 0 && file !== basename && file.slice(-3) === '.js';
+    })
+    .map((file) => path.join(__dirname, file));
+
+  // Models declared inside feature modules (src/modules/*/*.model.js)
+  files.push(...getModuleModelFiles());
 
   files.forEach((file) => {
     try {
-      const model = require(path.join(__dirname, file));
+      const model = require(file);
 
       if (model && model.name) {
         models[model.name] = model;
       }
     } catch (error) {
-      console.error(`Error loading model ${file}:`, error);
+      logger.error('Error loading model', { file, error });
     }
   });
 
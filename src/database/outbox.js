@@ -0,0 +1,195 @@
+const { Op, Transaction } = require('sequelize');
+const OutboxMessage = require('./models/OutboxMessage');
+const { withTransaction, getTransaction } = require('./transaction');
+const queueManager = require('../config/queue');
+const env = require('../config/env');
+const logger = require('../utils/logger').child({ component: 'outbox' });
+const { getRequestId, runWithContext } = require('../utils/context');
+const { withTimeout } = require('../utils/timeout');
+
+// Don't hold the batch's row locks while Redis is unreachable
+const PUBLISH_TIMEOUT = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Record a queue job in the current transaction. It is published to Bull by the
+ * relay once the transaction commits, and never if it rolls back.
+ * @param {string} queueName
+ * @param {string} jobType
+ * @param {Object} data
+ * @param {Object} options - Bull job options, plus `transaction` (defaults to the one
+ *   withTransaction opened)
+ * @throws {Error} Outside a transaction, where the job would commit on its own
+ */
+const enqueue = (queueName, jobType, data, options = {}) => {
+  const { transaction = getTransaction(), ...jobOptions } = options;
+  if (!transaction) {
+    throw new Error(
+      `outbox.enqueue("${queueName}", "${jobType}") must run inside withTransaction ` +
+        'or be given options.transaction'
+    );
+  }
+
+  return OutboxMessage.create(
+    {
+      queue: queueName,
+      jobType,
+      payload: data,
+      options: jobOptions,
+      requestId: getRequestId(),
+    },
+    { transaction }
+  );
+};
+
+class OutboxRelay {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.current = null;
+    this.lastPurge = 0;
+  }
+
+  /**
+   * Publish one message. The outbox id doubles as the Bull job id, so a message
+   * published twice (crash before it was marked) doesn't create a second job
+   * while the first one is still in Redis.
+   */
+  async publish(message) {
+    try {
+      await runWithContext({ requestId: message.requestId }, () =>
+        withTimeout(
+          queueManager.addJob(message.queue, message.jobType, message.payload, {
+            ...message.options,
+            jobId: message.id,
+          }),
+          PUBLISH_TIMEOUT
+        )
+      );
+      return true;
+    } catch (error) {
+      const delay = Math.min(1000 * 2 ** message.attempts, MAX_RETRY_DELAY);
+      await message.update({
+        attempts: message.attempts + 1,
+        lastError: error.message,
+        availableAt: new Date(Date.now() + delay),
+      });
+      logger.warn('Outbox publish failed', {
+        messageId: message.id,
+        queue: message.queue,
+        attempts: message.attempts,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Claim a batch of pending messages, publish them in order and mark them dispatched.
+   * Rows are locked with SKIP LOCKED, so concurrent relays work on different batches.
+   * The batch stops at the first failed publish: the failed row is scheduled for retry
+   * and the rest are left for the next poll instead of each waiting out the timeout.
+   * @returns {number} Messages handled (fewer than the batch size when it stopped early)
+   */
+  relayBatch() {
+    return withTransaction(async () => {
+      const messages = await OutboxMessage.findAll({
+        where: { dispatchedAt: null, availableAt: { [Op.lte]: new Date() } },
+        order: [['createdAt', 'ASC']],
+        limit: env.OUTBOX_BATCH_SIZE,
+        lock: Transaction.LOCK.UPDATE,
+        skipLocked: true,
+      });
+
+      let stopped = false;
+      const published = await messages.reduce(async (previous, message) => {
+        const ids = await previous;
+        if (stopped) return ids;
+        if (await this.publish(message)) return [...ids, message.id];
+        stopped = true;
+        return ids;
+      }, Promise.resolve([]));
+
+      if (published.length > 0) {
+        await OutboxMessage.update(
+          { dispatchedAt: new Date() },
+          { where: { id: { [Op.in]: published } } }
+        );
+        logger.debug('Outbox messages dispatched', { count: published.length });
+      }
+
+      return stopped ? published.length : messages.length;
+    });
+  }
+
+  // Delete dispatched messages past the retention period
+  async purgeDispatched() {
+    const cutoff = new Date(Date.now() - env.OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const deleted = await OutboxMessage.destroy({
+      where: { dispatchedAt: { [Op.lt]: cutoff } },
+    });
+
+    if (deleted > 0) {
+      logger.info('Purged dispatched outbox messages', { count: deleted });
+    }
+  }
+
+  async poll() {
+    let claimed = 0;
+
+    try {
+      claimed = await this.relayBatch();
+
+      if (Date.now() - this.lastPurge > PURGE_INTERVAL) {
+        this.lastPurge = Date.now();
+        await this.purgeDispatched();
+      }
+    } catch (error) {
+      logger.error('Outbox relay failed', error);
+    }
+
+    return claimed;
+  }
+
+  // Keep polling; a full batch means there is probably more waiting, so go again right away
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.current = this.poll().then((claimed) => {
+        this.current = null;
+        if (this.running) {
+          this.schedule(claimed >= env.OUTBOX_BATCH_SIZE ? 0 : env.OUTBOX_POLL_INTERVAL);
+        }
+      });
+    }, delay);
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.schedule(0);
+    logger.info('Outbox relay started', {
+      pollInterval: env.OUTBOX_POLL_INTERVAL,
+      batchSize: env.OUTBOX_BATCH_SIZE,
+    });
+  }
+
+  // Stop polling and wait for the batch in flight
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.current;
+    logger.info('Outbox relay stopped');
+  }
+}
+
+// Singleton instance
+const outboxRelay = new OutboxRelay();
+
+module.exports = {
+  enqueue,
+  outboxRelay,
+};
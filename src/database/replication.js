@@ -0,0 +1,122 @@
+const { Client } = require('pg');
+const databaseConfig = require('../config/database');
+const env = require('../config/env');
+const logger = require('../utils/logger').child({ component: 'database' });
+const { getContext, runWithContext, setContextValue } = require('../utils/context');
+const { withTimeout } = require('../utils/timeout');
+
+class ReplicaMonitor {
+  constructor() {
+    // Host and port only; credentials are shared with the primary
+    this.replicas = databaseConfig.replication
+      ? databaseConfig.replication.read.map(({ host, port }) => ({ host, port }))
+      : [];
+    this.healthy = true;
+    this.status = {};
+    this.timer = null;
+  }
+
+  get enabled() {
+    return this.replicas.length > 0;
+  }
+
+  // Open a fresh connection to one replica and run a trivial query
+  async checkReplica({ host, port }) {
+    const client = new Client({
+      host,
+      port,
+      user: databaseConfig.username,
+      password: databaseConfig.password,
+      database: databaseConfig.database,
+      ssl: databaseConfig.dialectOptions ? databaseConfig.dialectOptions.ssl : false,
+      connectionTimeoutMillis: env.HEALTH_CHECK_TIMEOUT,
+    });
+
+    try {
+      await client.connect();
+      await withTimeout(client.query('SELECT 1'), env.HEALTH_CHECK_TIMEOUT);
+    } finally {
+      client.end().catch(() => {});
+    }
+  }
+
+  // Check every replica; reads go to the primary until all of them are reachable again
+  async check() {
+    const results = await Promise.all(
+      this.replicas.map(async (replica) => {
+        const name = `${replica.host}:${replica.port}`;
+        try {
+          await this.checkReplica(replica);
+          return [name, { status: 'up' }];
+        } catch (error) {
+          return [name, { status: 'down', error: error.message }];
+        }
+      })
+    );
+
+    this.status = Object.fromEntries(results);
+    const down = results.filter(([, result]) => result.status === 'down').map(([name]) => name);
+    const healthy = down.length === 0;
+
+    if (healthy !== this.healthy) {
+      if (healthy) {
+        logger.info('Replicas healthy, reads routed to replicas again');
+      } else {
+        logger.warn('Replica unavailable, routing reads to primary', { replicas: down });
+      }
+    }
+    this.healthy = healthy;
+
+    return this.status;
+  }
+
+  async start() {
+    if (!this.enabled || this.timer) return;
+
+    await this.check();
+    this.timer = setInterval(() => {
+      this.check().catch((error) => logger.error('Replica health check failed', error));
+    }, env.DB_REPLICA_HEALTH_INTERVAL);
+    this.timer.unref();
+
+    logger.info('Read replicas enabled', { replicas: Object.keys(this.status) });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Singleton instance
+const replicaMonitor = new ReplicaMonitor();
+
+/**
+ * beforePoolAcquire hook: send SELECTs to the primary when replicas are
+ * unhealthy or the current context asked for it
+ * @param {Object} options - Query options
+ */
+const routeReads = (options) => {
+  if (!replicaMonitor.healthy || getContext().usePrimary) {
+    options.useMaster = true;
+  }
+};
+
+/**
+ * Run fn with every read going to the primary
+ * @param {Function} fn
+ */
+const usePrimary = (fn) => runWithContext({ usePrimary: true }, fn);
+
+/**
+ * Send the rest of the current request's (or job's) reads to the primary,
+ * e.g. right after a write that the response needs to read back
+ */
+const stickToPrimary = () => setContextValue('usePrimary', true);
+
+module.exports = {
+  replicaMonitor,
+  routeReads,
+  usePrimary,
+  stickToPrimary,
+};
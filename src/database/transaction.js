@@ -0,0 +1,100 @@
+const { Transaction } = require('sequelize');
+const sequelize = require('./connection');
+const namespace = require('./cls');
+const logger = require('../utils/logger').child({ component: 'database' });
+
+// serialization_failure, deadlock_detected
+const RETRYABLE_CODES = ['40001', '40P01'];
+
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY = 50;
+const RETRY_MAX_DELAY = 2000;
+
+const getErrorCode = (error) => {
+  const original = error.original || error.parent;
+  return original ? original.code : error.code;
+};
+
+/**
+ * Exponential backoff with jitter so retried transactions don't collide again
+ * @param {number} attempt - 0-based
+ */
+const retryDelay = (attempt) => {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+};
+
+/**
+ * Transaction of the current async context, if any
+ * @returns {Transaction|null}
+ */
+const getTransaction = () => namespace.get('transaction') || null;
+
+/**
+ * Run fn in a transaction. Queries inside fn (and anything it calls) join the
+ * transaction automatically; calling withTransaction inside another one joins the outer
+ * transaction instead of opening a new one. Serialization failures and deadlocks
+ * retry the whole transaction with backoff, so fn must be safe to run again.
+ * @param {Function} fn - async (transaction) => result
+ * @param {Object} options
+ * @param {string} options.isolationLevel - One of Transaction.ISOLATION_LEVELS
+ * @param {number} options.retries - Retries after the first attempt
+ */
+const withTransaction = (fn, { isolationLevel, retries = DEFAULT_RETRIES } = {}) => {
+  const current = getTransaction();
+  if (current) {
+    return fn(current);
+  }
+
+  const attempt = async (n) => {
+    try {
+      return await sequelize.transaction({ isolationLevel }, (transaction) => fn(transaction));
+    } catch (error) {
+      const code = getErrorCode(error);
+      if (!RETRYABLE_CODES.includes(code) || n >= retries) {
+        throw error;
+      }
+
+      const delayMs = retryDelay(n);
+      logger.warn('Retrying transaction', { code, attempt: n + 1, retries, delayMs });
+      await new Promise((resolve) => {
+        setTimeout(resolve, delayMs);
+      });
+
+      return attempt(n + 1);
+    }
+  };
+
+  return attempt(0);
+};
+
+/**
+ * Run fn once the current transaction commits, e.g. to enqueue a job for data it wrote.
+ * Dropped if the transaction rolls back; runs immediately outside a transaction.
+ * Failures are logged, since the data is already committed.
+ * @param {Function} fn - async () => void
+ */
+const afterCommit = (fn) => {
+  const run = async () => {
+    try {
+      await fn();
+    } catch (error) {
+      logger.error('After-commit hook failed', error);
+    }
+  };
+
+  const transaction = getTransaction();
+  if (!transaction) {
+    return run();
+  }
+
+  transaction.afterCommit(run);
+  return Promise.resolve();
+};
+
+module.exports = {
+  ISOLATION_LEVELS: Transaction.ISOLATION_LEVELS,
+  withTransaction,
+  getTransaction,
+  afterCommit,
+};
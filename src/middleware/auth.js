@@ -0,0 +1,66 @@
+const { verifyAccessToken } = require('../utils/jwt');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { setContextValue } = require('../utils/context');
+
+/**
+ * Extract bearer token from the Authorization header
+ * @param {Request} req
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  return token;
+};
+
+/**
+ * Require a valid access token and attach the user to req.user
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const authenticate = (req, _res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new UnauthorizedError('Missing or malformed Authorization header');
+  }
+
+  const decoded = verifyAccessToken(token);
+
+  req.user = {
+    id: decoded.sub,
+    role: decoded.role,
+    tokenId: decoded.jti,
+  };
+  setContextValue('userId', req.user.id);
+
+  next();
+};
+
+/**
+ * Restrict a route to users holding one of the given roles.
+ * Must be used after authenticate.
+ * @param {...string} roles - Allowed roles
+ */
+const requireRole =
+  (...roles) =>
+  (req, _res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError();
+    }
+
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      throw new ForbiddenError();
+    }
+
+    next();
+  };
+
+module.exports = {
+  authenticate,
+  requireRole,
+};
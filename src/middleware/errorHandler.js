@@ -1,5 +1,7 @@
 const APIResponse = require('../utils/response');
 const env = require('../config/env');
+const logger = require('../utils/logger');
+const { mapError } = require('../utils/errorMapping');
 
 /**
  * Global error handler middleware
@@ -9,14 +11,22 @@ const env = require('../config/env');
  * @param {Response} res
  * @param {NextFunction} next
  */
-const errorHandler = (err, _req, res, _next) => {
-  console.error('Error:', err);
-
-  // Operational errors (known errors)
-  if (err.isOperational) {
-    return APIResponse.error(res, err.message, err.status, err.code);
+const errorHandler = (err, req, res, _next) => {
+  // Operational errors (known errors), including library errors we know how to translate
+  const error = mapError(err);
+  if (error) {
+    const level = error.status >= 500 ? 'error' : 'warn';
+    logger[level](error.message, {
+      code: error.code,
+      status: error.status,
+      url: req.originalUrl,
+      ...(error !== err && { cause: err.message }),
+    });
+    return APIResponse.error(res, error.message, error.status, error.code, error.errors);
   }
 
+  logger.error('Unhandled error', { error: err, method: req.method, url: req.originalUrl });
+
   // Unknown errors - don't leak details
   const message = env.NODE_ENV === 'production' ? 'Internal server error' : err.message;
 
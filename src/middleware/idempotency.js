@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const idempotencyStore = require('../config/idempotency');
+const logger = require('../utils/logger').child({ component: 'idempotency' });
+const {
+  AppError,
+  ConflictError,
+  ValidationError,
+  ServiceUnavailableError,
+} = require('../utils/errors');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\w.:-]{1,255}$/;
+
+// Response headers replayed along with the stored body
+const REPLAYED_HEADERS = ['content-type', 'location'];
+
+// JSON with sorted object keys, so the same body always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) === undefined ? 'null' : JSON.stringify(value);
+};
+
+/**
+ * Hash of what makes two requests "the same": method, path and body
+ * @param {Request} req
+ */
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${canonicalize(req.body || {})}`)
+    .digest('hex');
+
+// Keys are per client, so one client can't replay another's response
+const defaultScope = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+// Only responses the client shouldn't simply retry are stored
+const isReplayable = (status) => status < 500 && status !== 429;
+
+const replay = (res, record) => {
+  res.set(record.headers);
+  res.set('Idempotent-Replayed', 'true');
+  return res
+    .status(record.status)
+    .send(record.encoding === 'base64' ? Buffer.from(record.body, 'base64') : record.body);
+};
+
+/**
+ * Capture the response body and store it (or free the key) once the response is done
+ */
+const recordResponse = (req, res, recordKey, token, fingerprint) => {
+  let body = '';
+  let encoding = 'utf8';
+
+  // res.json() ends up in res.send() with a string; keep the last body sent
+  const { send } = res;
+  res.send = function captureBody(chunk) {
+    if (Buffer.isBuffer(chunk)) {
+      body = chunk.toString('base64');
+      encoding = 'base64';
+    } else if (typeof chunk === 'string') {
+      body = chunk;
+      encoding = 'utf8';
+    }
+    return send.call(this, chunk);
+  };
+
+  // Refresh the lock well before it expires, so a slow handler doesn't let a retry run alongside it
+  const heartbeat = setInterval(
+    () => {
+      idempotencyStore
+        .extend(recordKey, token)
+        .then((held) => {
+          if (!held) {
+            logger.warn('Idempotency key lost while the request was running', {
+              key: recordKey,
+              url: req.originalUrl,
+            });
+            clearInterval(heartbeat);
+          }
+        })
+        .catch((error) => {
+          logger.error('Failed to extend idempotency key', {
+            key: recordKey,
+            error: error.message,
+          });
+        });
+    },
+    (idempotencyStore.lockTTL * 1000) / 3
+  );
+  heartbeat.unref();
+
+  let settled = false;
+  const settle = (finished) => {
+    if (settled) return;
+    settled = true;
+    clearInterval(heartbeat);
+
+    const store =
+      finished && isReplayable(res.statusCode)
+        ? idempotencyStore.complete(recordKey, token, {
+            fingerprint,
+            status: res.statusCode,
+            headers: Object.fromEntries(
+              REPLAYED_HEADERS.filter((name) => res.get(name)).map((name) => [name, res.get(name)])
+            ),
+            body,
+            encoding,
+          })
+        : idempotencyStore.release(recordKey, token);
+
+    store
+      .then((held) => {
+        // Only possible if the heartbeat couldn't reach Redis for a whole lock TTL
+        if (!held) {
+          logger.warn('Idempotency key expired before the request finished', {
+            key: recordKey,
+            url: req.originalUrl,
+            status: res.statusCode,
+          });
+        }
+      })
+      .catch((error) => {
+        logger.error('Failed to store idempotent response', {
+          key: recordKey,
+          url: req.originalUrl,
+          error: error.message,
+        });
+      });
+  };
+
+  res.on('finish', () => settle(true));
+  res.on('close', () => settle(false));
+};
+
+/**
+ * Make a mutating endpoint safe to retry with an Idempotency-Key header.
+ * The first request runs and its response is stored; a retry with the same key
+ * gets the stored response back (with Idempotent-Replayed: true). Reusing a key
+ * with a different request responds 422, and retrying while the first request
+ * is still running responds 409. 5xx and 429 responses are not stored.
+ *
+ * @param {Object} options
+ * @param {boolean} options.required - Respond 400 when the header is missing
+ * @param {Function} options.scope - (req) => string namespacing keys, defaults to user or IP
+ * @returns {Function} Express middleware
+ */
+const idempotency =
+  ({ required = false, scope = defaultScope } = {}) =>
+  async (req, res, next) => {
+    const key = req.get(HEADER);
+
+    if (!key) {
+      if (required) {
+        throw new ValidationError(`${HEADER} header is required`);
+      }
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      throw new ValidationError(
+        `${HEADER} must be 1-255 letters, digits, underscores, dots, colons or dashes`
+      );
+    }
+
+    const recordKey = idempotencyStore.recordKey(scope(req), key);
+    const fingerprint = fingerprintRequest(req);
+
+    let claim;
+    try {
+      claim = await idempotencyStore.begin(recordKey, fingerprint);
+    } catch (error) {
+      // Running the request without the key could perform it twice
+      logger.error('Idempotency store unavailable', { key: recordKey, error: error.message });
+      throw new ServiceUnavailableError();
+    }
+
+    const { record, token } = claim;
+
+    if (!record) {
+      recordResponse(req, res, recordKey, token, fingerprint);
+      return next();
+    }
+
+    if (record.fingerprint !== fingerprint) {
+      throw new AppError(
+        `${HEADER} was already used for a different request`,
+        422,
+        'IDEMPOTENCY_KEY_REUSED'
+      );
+    }
+
+    if (record.state === 'processing') {
+      res.set('Retry-After', '1');
+      const error = new ConflictError(`A request with this ${HEADER} is still in progress`);
+      error.code = 'IDEMPOTENCY_IN_PROGRESS';
+      throw error;
+    }
+
+    return replay(res, record);
+  };
+
+module.exports = {
+  idempotency,
+};
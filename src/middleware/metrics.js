@@ -0,0 +1,21 @@
+const { observeRequest } = require('../utils/metrics');
+
+/**
+ * Record request count and latency once the response is sent
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    observeRequest(req, res, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+};
@@ -0,0 +1,81 @@
+const cacheService = require('../config/cache');
+const { RateLimitError } = require('../utils/errors');
+
+/**
+ * Built-in key extractors
+ */
+const keyExtractors = {
+  ip: (req) => `ip:${req.ip}`,
+  // Falls back to the client IP for anonymous requests
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  route: (req) => `route:${req.method}:${req.baseUrl}${req.route ? req.route.path : req.path}`,
+};
+
+/**
+ * Build the identifier for a request
+ * @param {string|string[]|Function} key - Extractor name(s) or (req) => string
+ */
+const buildKeyResolver = (key) => {
+  if (typeof key === 'function') {
+    return key;
+  }
+
+  const names = Array.isArray(key) ? key : [key];
+  names.forEach((name) => {
+    if (!keyExtractors[name]) {
+      throw new Error(`Unknown rate limit key "${name}". Use ip, user, route or a function.`);
+    }
+  });
+
+  return (req) => names.map((name) => keyExtractors[name](req)).join('|');
+};
+
+/**
+ * Redis-backed rate limiting middleware.
+ * Sets RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers,
+ * and responds 429 RATE_LIMITED (with Retry-After) once the limit is exceeded.
+ *
+ * @param {Object} options
+ * @param {string|string[]|Function} options.key - ip | user | route, a combination, or (req) => string
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.window - Window length in seconds
+ * @param {string} options.algorithm - sliding-window | token-bucket | fixed-window
+ * @param {string} options.name - Namespace so separate limiters don't share counters
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({
+  key = 'ip',
+  limit = 100,
+  window = 60,
+  algorithm = 'sliding-window',
+  name = 'default',
+} = {}) => {
+  if (!cacheService.getRateLimitAlgorithms().includes(algorithm)) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}"`);
+  }
+
+  const resolveKey = buildKeyResolver(key);
+
+  return async (req, res, next) => {
+    const identifier = `${name}:${resolveKey(req)}`;
+    const result = await cacheService.checkRateLimit(identifier, limit, window, algorithm);
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetTime),
+      'RateLimit-Policy': `${limit};w=${window}`,
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      throw new RateLimitError();
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { runWithContext } = require('../utils/context');
+
+// Accept upstream ids (load balancer, calling service) only if they look sane
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign a request id (X-Request-Id) and run the rest of the chain in its async context
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, next);
+};
+
+/**
+ * Log one line per completed request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number((process.hrtime.bigint() - start) / 1000n) / 1000;
+    const meta = {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs,
+      contentLength: res.get('content-length'),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    };
+
+    // Orchestrator probes would drown everything else out
+    if (req.originalUrl.startsWith('/health')) {
+      logger.debug('Request completed', meta);
+    } else if (res.statusCode >= 500) {
+      logger.error('Request completed', meta);
+    } else if (res.statusCode >= 400) {
+      logger.warn('Request completed', meta);
+    } else {
+      logger.info('Request completed', meta);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  requestContext,
+  requestLogger,
+};
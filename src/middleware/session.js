@@ -0,0 +1,104 @@
+const sessionStore = require('../config/session');
+const config = require('../config');
+const { UnauthorizedError } = require('../utils/errors');
+const { setContextValue } = require('../utils/context');
+
+/**
+ * Read a cookie value from the raw Cookie header
+ * @param {Request} req
+ * @param {string} name
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  const match = header
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  if (!match) return null;
+
+  // A malformed value is treated like a missing cookie
+  try {
+    return decodeURIComponent(match.slice(name.length + 1));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Session id from the X-Session-Id header (API clients) or the session cookie (browsers)
+ * @param {Request} req
+ */
+const getSessionId = (req) =>
+  req.headers['x-session-id'] || readCookie(req, config.session.cookieName);
+
+/**
+ * Send the session cookie. Call after creating or rotating a session.
+ * @param {Response} res
+ * @param {Object} session
+ */
+const setSessionCookie = (res, session) => {
+  res.cookie(config.session.cookieName, session.id, {
+    httpOnly: true,
+    secure: config.env === 'production',
+    sameSite: 'lax',
+    expires: new Date(session.expiresAt),
+  });
+};
+
+/**
+ * Clear the session cookie
+ * @param {Response} res
+ */
+const clearSessionCookie = (res) => {
+  res.clearCookie(config.session.cookieName, {
+    httpOnly: true,
+    secure: config.env === 'production',
+    sameSite: 'lax',
+  });
+};
+
+/**
+ * Load the session onto req.session and slide its expiry.
+ * Also sets req.user from the session when no token authenticated the request.
+ * @param {Object} options
+ * @param {boolean} options.required - Respond 401 when there is no valid session
+ * @returns {Function} Express middleware
+ */
+const loadSession =
+  ({ required = false } = {}) =>
+  async (req, res, next) => {
+    const sessionId = getSessionId(req);
+    const found = sessionId ? await sessionStore.get(sessionId) : null;
+    // Rotated or destroyed by a concurrent request since it was read
+    const session = found && (await sessionStore.touch(found));
+
+    if (!session) {
+      if (sessionId) {
+        clearSessionCookie(res);
+      }
+      if (required) {
+        throw new UnauthorizedError('Session expired or invalid');
+      }
+
+      req.session = null;
+      return next();
+    }
+
+    req.session = session;
+
+    if (!req.user) {
+      req.user = { id: session.userId, role: session.data.role, sessionId: session.id };
+      setContextValue('userId', req.user.id);
+    }
+
+    return next();
+  };
+
+module.exports = {
+  loadSession,
+  setSessionCookie,
+  clearSessionCookie,
+};
@@ -0,0 +1,88 @@
+const Joi = require('joi');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Request segments that can be validated, in the order they are checked
+ */
+const SEGMENTS = ['params', 'query', 'headers', 'body'];
+
+const baseOptions = {
+  abortEarly: false,
+  convert: true,
+  errors: {
+    wrap: { label: false },
+  },
+};
+
+// Headers carry plenty of values we don't describe (host, user-agent, ...),
+// so unknown headers are allowed through untouched instead of stripped.
+const segmentOptions = {
+  params: { ...baseOptions, stripUnknown: true },
+  query: { ...baseOptions, stripUnknown: true },
+  headers: { ...baseOptions, allowUnknown: true, stripUnknown: false },
+  body: { ...baseOptions, stripUnknown: true },
+};
+
+/**
+ * Map Joi error details to the VALIDATION_ERROR details format
+ * @param {string} segment - Request segment the error belongs to
+ * @param {Array} details - Joi error details
+ */
+const formatDetails = (segment, details) =>
+  details.map((detail) => ({
+    location: segment,
+    path: detail.path.join('.'),
+    message: detail.message,
+    type: detail.type,
+  }));
+
+/**
+ * Validate request segments against Joi schemas.
+ * Sanitized (coerced, unknown keys stripped) values are written back onto req.
+ * All failures across all segments are reported together.
+ *
+ * @param {Object|Joi.Schema} schemas - { body, query, params, headers }, or a single body schema
+ * @returns {Function} Express middleware
+ */
+const validate = (schemas) => {
+  const segmentSchemas = Joi.isSchema(schemas) ? { body: schemas } : schemas;
+
+  return (req, _res, next) => {
+    const errors = [];
+    const sanitized = {};
+
+    SEGMENTS.forEach((segment) => {
+      const schema = segmentSchemas[segment];
+      if (!schema) return;
+
+      const { error, value } = Joi.compile(schema).validate(
+        req[segment] || {},
+        segmentOptions[segment]
+      );
+
+      if (error) {
+        errors.push(...formatDetails(segment, error.details));
+      } else {
+        sanitized[segment] = value;
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    Object.entries(sanitized).forEach(([segment, value]) => {
+      if (segment === 'headers') {
+        Object.assign(req.headers, value);
+      } else {
+        req[segment] = value;
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  validate,
+};
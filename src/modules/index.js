@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Convention-based module discovery
+ *
+ * Every directory under src/modules is a feature module. Files are picked up by suffix:
+ *   {module}.routes.js      - Express router, mounted under the API prefix
+ *   {module}.processors.js  - Queue processors: { [queueName]: { [jobType]: async (job) => result } }
+ *   *.model.js              - Sequelize models, loaded with the ones in database/models
+ *
+ * A router is mounted at `/{module}` unless it sets `router.prefix`.
+ */
+
+let discovered = null;
+
+const normalizePrefix = (prefix) => `/${prefix.replace(/^\/+|\/+$/g, '')}`;
+
+/**
+ * Scan src/modules for feature module directories (cached)
+ * @returns {Array<{ name: string, dir: string, routes: string|null, processors: string|null, models: string[] }>}
+ */
+const discoverModules = () => {
+  if (discovered) return discovered;
+
+  discovered = fs
+    .readdirSync(__dirname, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name.indexOf('.') !== 0)
+    .map((entry) => {
+      const dir = path.join(__dirname, entry.name);
+      const files = fs.readdirSync(dir);
+      const find = (suffix) => {
+        const file = files.find((f) => f.endsWith(suffix));
+        return file ? path.join(dir, file) : null;
+      };
+
+      return {
+        name: entry.name,
+        dir,
+        routes: find('.routes.js'),
+        processors: find('.processors.js'),
+        models: files.filter((f) => f.endsWith('.model.js')).map((f) => path.join(dir, f)),
+      };
+    });
+
+  return discovered;
+};
+
+/**
+ * Mount every module router under the API prefix
+ * @param {Object} app - Express app
+ * @param {string} apiPrefix - e.g. /api/v1
+ * @returns {Array<{ module: string, path: string }>} Mounted routes
+ * @throws {Error} When two modules claim the same prefix
+ */
+const mountModuleRoutes = (app, apiPrefix) => {
+  const owners = {};
+  const mounted = [];
+
+  discoverModules()
+    .filter((mod) => mod.routes)
+    .forEach((mod) => {
+      const router = require(mod.routes);
+      const prefix = normalizePrefix(router.prefix || mod.name);
+
+      if (owners[prefix]) {
+        throw new Error(
+          `Duplicate route prefix "${prefix}" declared by modules "${owners[prefix]}" and "${mod.name}"`
+        );
+      }
+      owners[prefix] = mod.name;
+
+      const mountPath = `${apiPrefix === '/' ? '' : normalizePrefix(apiPrefix)}${prefix}`;
+      app.use(mountPath, router);
+      mounted.push({ module: mod.name, path: mountPath });
+    });
+
+  return mounted;
+};
+
+/**
+ * Collect queue processors declared by modules
+ * @returns {Array<{ module: string, processors: Object }>}
+ */
+const loadModuleProcessors = () =>
+  discoverModules()
+    .filter((mod) => mod.processors)
+    .map((mod) => ({ module: mod.name, processors: require(mod.processors) }));
+
+/**
+ * Paths of model files declared by modules
+ * @returns {string[]}
+ */
+const getModuleModelFiles = () => discoverModules().flatMap((mod) => mod.models);
+
+module.exports = {
+  discoverModules,
+  mountModuleRoutes,
+  loadModuleProcessors,
+  getModuleModelFiles,
+};
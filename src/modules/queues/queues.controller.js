@@ -0,0 +1,170 @@
+const queueManager = require('../../config/queue');
+const APIResponse = require('../../utils/response');
+const { AppError, NotFoundError } = require('../../utils/errors');
+
+const assertQueue = (queueName) => {
+  if (!queueManager.hasQueue(queueName)) {
+    throw new NotFoundError(`Queue ${queueName} not found`);
+  }
+};
+
+const findJob = async (queueName, jobId) => {
+  assertQueue(queueName);
+
+  const job = await queueManager.getJob(queueName, jobId);
+  if (!job) {
+    throw new NotFoundError(`Job ${jobId} not found in ${queueName}`);
+  }
+
+  return job;
+};
+
+const assertJobState = async (job, expected, action) => {
+  const state = await job.getState();
+  if (state !== expected) {
+    throw new AppError(
+      `Cannot ${action} job ${job.id}: job is ${state}, expected ${expected}`,
+      409,
+      'INVALID_JOB_STATE'
+    );
+  }
+};
+
+const serializeJob = (job) => ({
+  id: job.id,
+  name: job.name,
+  attemptsMade: job.attemptsMade,
+  failedReason: job.failedReason || null,
+  progress: job.progress(),
+  priority: job.opts.priority,
+  createdAt: new Date(job.timestamp).toISOString(),
+  processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+});
+
+const listQueues = async (_req, res) => {
+  const queueNames = queueManager.getQueueNames();
+
+  const queues = await Promise.all(
+    queueNames.map(async (name) => {
+      const [counts, paused, deadLetters] = await Promise.all([
+        queueManager.getQueueStats(name),
+        queueManager.isQueuePaused(name),
+        queueManager.countDeadLetters(name),
+      ]);
+
+      return { name, paused, counts, deadLetters };
+    })
+  );
+
+  return APIResponse.success(res, { queues });
+};
+
+const listJobs = async (req, res) => {
+  const { queue } = req.params;
+  const { state, page, limit } = req.query;
+  assertQueue(queue);
+
+  const start = (page - 1) * limit;
+  const [jobs, counts] = await Promise.all([
+    queueManager.getJobs(queue, state, start, start + limit - 1),
+    queueManager.getQueueStats(queue),
+  ]);
+  const total = (counts && counts[state]) || 0;
+
+  return APIResponse.paginated(res, jobs.map(serializeJob), {
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  });
+};
+
+const getJob = async (req, res) => {
+  const { queue, jobId } = req.params;
+  const job = await findJob(queue, jobId);
+
+  const [state, logs] = await Promise.all([job.getState(), queueManager.getJobLogs(queue, jobId)]);
+
+  return APIResponse.success(res, {
+    ...serializeJob(job),
+    state,
+    data: job.data,
+    opts: job.opts,
+    returnValue: job.returnvalue,
+    stacktrace: job.stacktrace,
+    logs,
+  });
+};
+
+const retryJob = async (req, res) => {
+  const { queue, jobId } = req.params;
+  const job = await findJob(queue, jobId);
+
+  await assertJobState(job, 'failed', 'retry');
+  await queueManager.retryJob(queue, job);
+
+  return APIResponse.success(res, serializeJob(job), 'Job queued for retry');
+};
+
+const promoteJob = async (req, res) => {
+  const { queue, jobId } = req.params;
+  const job = await findJob(queue, jobId);
+
+  await assertJobState(job, 'delayed', 'promote');
+  await queueManager.promoteJob(queue, job);
+
+  return APIResponse.success(res, serializeJob(job), 'Job promoted');
+};
+
+const removeJob = async (req, res) => {
+  const { queue, jobId } = req.params;
+  const job = await findJob(queue, jobId);
+
+  if ((await job.getState()) === 'active') {
+    throw new AppError(`Cannot remove job ${job.id}: job is active`, 409, 'INVALID_JOB_STATE');
+  }
+  await queueManager.removeJob(queue, job);
+
+  return APIResponse.success(res, { id: job.id }, 'Job removed');
+};
+
+const pauseQueue = async (req, res) => {
+  const { queue } = req.params;
+  assertQueue(queue);
+
+  await queueManager.pauseQueue(queue);
+
+  return APIResponse.success(res, { name: queue, paused: true }, 'Queue paused');
+};
+
+const resumeQueue = async (req, res) => {
+  const { queue } = req.params;
+  assertQueue(queue);
+
+  await queueManager.resumeQueue(queue);
+
+  return APIResponse.success(res, { name: queue, paused: false }, 'Queue resumed');
+};
+
+const cleanQueue = async (req, res) => {
+  const { queue } = req.params;
+  const { grace } = req.body;
+  assertQueue(queue);
+
+  await queueManager.cleanQueue(queue, grace);
+
+  return APIResponse.success(res, { name: queue, grace }, 'Queue cleaned');
+};
+
+module.exports = {
+  listQueues,
+  listJobs,
+  getJob,
+  retryJob,
+  promoteJob,
+  removeJob,
+  pauseQueue,
+  resumeQueue,
+  cleanQueue,
+};
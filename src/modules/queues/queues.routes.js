@@ -0,0 +1,47 @@
+const express = require('express');
+const controller = require('./queues.controller');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const {
+  queueParamsSchema,
+  jobParamsSchema,
+  listJobsQuerySchema,
+  cleanQueueSchema,
+} = require('./queues.validation');
+
+const router = express.Router();
+
+router.prefix = '/admin/queues';
+
+router.use(authenticate, requireRole('admin'));
+
+// Queues
+router.get('/', controller.listQueues);
+router.post('/:queue/pause', validate({ params: queueParamsSchema }), controller.pauseQueue);
+router.post('/:queue/resume', validate({ params: queueParamsSchema }), controller.resumeQueue);
+router.post(
+  '/:queue/clean',
+  validate({ params: queueParamsSchema, body: cleanQueueSchema }),
+  controller.cleanQueue
+);
+
+// Jobs
+router.get(
+  '/:queue/jobs',
+  validate({ params: queueParamsSchema, query: listJobsQuerySchema }),
+  controller.listJobs
+);
+router.get('/:queue/jobs/:jobId', validate({ params: jobParamsSchema }), controller.getJob);
+router.post(
+  '/:queue/jobs/:jobId/retry',
+  validate({ params: jobParamsSchema }),
+  controller.retryJob
+);
+router.post(
+  '/:queue/jobs/:jobId/promote',
+  validate({ params: jobParamsSchema }),
+  controller.promoteJob
+);
+router.delete('/:queue/jobs/:jobId', validate({ params: jobParamsSchema }), controller.removeJob);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+
+const JOB_STATES = ['waiting', 'active', 'completed', 'failed', 'delayed', 'paused'];
+
+const queueParamsSchema = Joi.object({
+  queue: Joi.string().required(),
+});
+
+const jobParamsSchema = Joi.object({
+  queue: Joi.string().required(),
+  jobId: Joi.string().required(),
+});
+
+const listJobsQuerySchema = Joi.object({
+  state: Joi.string()
+    .valid(...JOB_STATES)
+    .default('waiting'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const cleanQueueSchema = Joi.object({
+  grace: Joi.number()
+    .integer()
+    .min(0)
+    .default(24 * 60 * 60 * 1000),
+});
+
+module.exports = {
+  JOB_STATES,
+  queueParamsSchema,
+  jobParamsSchema,
+  listJobsQuerySchema,
+  cleanQueueSchema,
+};
@@ -1,57 +1,79 @@
 const app = require('./app');
 const config = require('./config');
+const env = require('./config/env');
 const { connectDB, closeDB } = require('./database/connection');
+const { migrator } = require('./database/migrator');
+const { connectRedis, disconnectRedis } = require('./config/redis');
+const queueManager = require('./config/queue');
+const { loadModels } = require('./database/models');
+const workerManager = require('./workers');
+const { outboxRelay } = require('./database/outbox');
+const logger = require('./utils/logger');
+const { startMetricsServer } = require('./utils/metrics');
+const shutdown = require('./utils/shutdown');
 
+const { EXIT_CODES, closeServer } = shutdown;
 const PORT = config.port;
 
+let metricsServer = null;
+
 /**
  * Start server with database connection
  */
 const startServer = async () => {
-  try {
-    // Connect to database first
-    await connectDB();
-
-    // Then start the server
-    const server = app.listen(PORT, () => {
-      console.log('=================================');
-      console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📝 Environment: ${config.env}`);
-      console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-      console.log('=================================');
-    });
+  logger.debug('Configuration loaded', { config: env.redacted() });
+
+  // Connect to database and Redis first
+  await connectDB();
+  await connectRedis();
+
+  // Other pods wait on the migration lock, so none serves traffic against an old schema
+  if (env.DB_MIGRATE_ON_BOOT) {
+    await migrator.up();
+  }
+  loadModels();
+
+  // Optionally process queue jobs in this process too
+  if (config.workers.enabled) {
+    workerManager.start();
+    outboxRelay.start();
+  }
 
-    return server;
-  } catch (error) {
-    console.error('❌ Failed to start server:', error);
-    process.exit(1);
+  if (config.metrics.enabled) {
+    metricsServer = startMetricsServer(config.metrics.port);
   }
+
+  // Then start the server
+  const server = app.listen(PORT, () => {
+    logger.info('Server running', {
+      port: PORT,
+      env: config.env,
+      health: `http://localhost:${PORT}/health`,
+      readiness: `http://localhost:${PORT}/health/ready`,
+    });
+  });
+
+  return server;
 };
 
+shutdown.installHandlers();
+
 startServer()
   .then((server) => {
     /**
-     * Graceful shutdown
+     * Graceful shutdown, in dependency order:
+     * stop taking requests, let jobs finish, then close connections
      */
-    process.on('SIGTERM', () => {
-      console.log('SIGTERM received, shutting down gracefully...');
-      server.close(async () => {
-        await closeDB();
-        console.log('Server and database closed');
-        process.exit(0);
-      });
-    });
-
-    process.on('SIGINT', () => {
-      console.log('\nSIGINT received, shutting down gracefully...');
-      server.close(async () => {
-        await closeDB();
-        console.log('Server and database closed');
-        process.exit(0);
-      });
-    });
+    shutdown
+      .register('http', () => closeServer(server))
+      .register('metrics', () => metricsServer && closeServer(metricsServer))
+      .register('outbox', () => outboxRelay.stop())
+      .register('workers', () => workerManager.stop())
+      .register('queues', () => queueManager.closeAll())
+      .register('redis', () => disconnectRedis())
+      .register('database', () => closeDB());
   })
   .catch((error) => {
-    console.error('❌ Failed to start application:', error);
-    process.exit(1);
+    logger.error('Failed to start server', error);
+    process.exit(EXIT_CODES.FATAL);
   });
@@ -0,0 +1,40 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Async context that follows a request (or a queue job) through every await,
+ * so logs, queries and enqueued jobs can be tied back to it.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn inside a new context, inheriting values from the current one
+ * @param {Object} values - e.g. { requestId }
+ * @param {Function} fn
+ */
+const runWithContext = (values, fn) => storage.run({ ...getContext(), ...values }, fn);
+
+/**
+ * Values of the current context ({} outside of one)
+ */
+const getContext = () => storage.getStore() || {};
+
+/**
+ * Add a value to the current context, e.g. the user once authenticated
+ * @param {string} key
+ * @param {*} value
+ */
+const setContextValue = (key, value) => {
+  const store = storage.getStore();
+  if (store) {
+    store[key] = value;
+  }
+};
+
+const getRequestId = () => getContext().requestId;
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setContextValue,
+  getRequestId,
+};
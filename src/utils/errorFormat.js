@@ -0,0 +1,94 @@
+const http = require('http');
+const env = require('../config/env');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Error body formatters. Each has the content type it produces and
+ * format({ message, status, code, errors }, req) => body.
+ */
+const formatters = {
+  // { success: false, message, error: { code, details }, timestamp }
+  default: {
+    contentType: 'application/json',
+    format: ({ message, code, errors }) => ({
+      success: false,
+      message,
+      error: {
+        code,
+        ...(errors && { details: errors }),
+      },
+      timestamp: new Date().toISOString(),
+    }),
+  },
+
+  // RFC 7807 problem details, with `code` and `errors` as extension members
+  problem: {
+    contentType: PROBLEM_CONTENT_TYPE,
+    format: ({ message, status, code, errors }, req) => ({
+      type: env.ERROR_TYPE_BASE_URL
+        ? `${env.ERROR_TYPE_BASE_URL.replace(/\/$/, '')}/${code.toLowerCase().replace(/_/g, '-')}`
+        : 'about:blank',
+      title: http.STATUS_CODES[status] || 'Error',
+      status,
+      detail: message,
+      ...(req && { instance: req.originalUrl }),
+      code,
+      ...(errors && { errors }),
+    }),
+  },
+};
+
+/**
+ * Add or replace a formatter. With ERROR_FORMAT=negotiate it is used when a client's
+ * Accept header prefers its content type; replacing `default` or `problem` also changes
+ * what ERROR_FORMAT=default / problem send.
+ * @param {string} name
+ * @param {Object} formatter - { contentType, format(error, req) }
+ */
+const registerErrorFormatter = (name, formatter) => {
+  formatters[name] = formatter;
+};
+
+/**
+ * Formatter for this request. The default format wins ties (e.g. Accept: *\/*).
+ * @param {Request} req
+ */
+const selectFormatter = (req) => {
+  if (env.ERROR_FORMAT !== 'negotiate') {
+    return formatters[env.ERROR_FORMAT];
+  }
+
+  const candidates = [
+    formatters.default,
+    ...Object.values(formatters).filter((formatter) => formatter !== formatters.default),
+  ];
+  const accepted = req && req.accepts(candidates.map((formatter) => formatter.contentType));
+
+  return candidates.find((formatter) => formatter.contentType === accepted) || formatters.default;
+};
+
+/**
+ * Send an error response in the format selected for the request
+ * @param {Response} res
+ * @param {Object} error - { message, status, code, errors }
+ */
+const sendError = (res, error) => {
+  const formatter = selectFormatter(res.req);
+
+  if (env.ERROR_FORMAT === 'negotiate') {
+    res.vary('Accept');
+  }
+
+  return res
+    .status(error.status)
+    .type(formatter.contentType)
+    .json(formatter.format(error, res.req));
+};
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  registerErrorFormatter,
+  selectFormatter,
+  sendError,
+};
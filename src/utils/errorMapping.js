@@ -0,0 +1,156 @@
+const http = require('http');
+const Joi = require('joi');
+const {
+  UniqueConstraintError,
+  ForeignKeyConstraintError,
+  ExclusionConstraintError,
+  OptimisticLockError,
+  ValidationError: SequelizeValidationError,
+  ConnectionError,
+  TimeoutError,
+} = require('sequelize');
+const { AppError, ValidationError, ConflictError, ServiceUnavailableError } = require('./errors');
+
+// query_canceled (statement_timeout), too_many_connections, admin/crash shutdown, cannot_connect_now
+const UNAVAILABLE_PG_CODES = ['57014', '53300', '57P01', '57P02', '57P03'];
+
+// Columns are snake_case (define.underscored), API fields are camelCase
+const toField = (column) => column.replace(/_([a-z])/g, (_match, char) => char.toUpperCase());
+
+const pgError = (err) => err.original || err.parent || {};
+
+/**
+ * Built-in mappers. Each takes an error and returns an AppError, or null when it doesn't apply.
+ */
+const defaultMappers = [
+  // Unique violation -> 409 with the conflicting fields. Values and the driver message
+  // (constraint names) are not echoed back; the raw error is logged as the cause.
+  (err) => {
+    if (!(err instanceof UniqueConstraintError)) return null;
+
+    const fields = Object.keys(err.fields || {}).map(toField);
+    return new ConflictError(
+      'Resource already exists',
+      fields.map((field) => ({ path: field, message: `${field} must be unique`, type: 'unique' }))
+    );
+  },
+
+  // Overlapping rows (e.g. double-booked time slots) -> 409
+  (err) => {
+    if (!(err instanceof ExclusionConstraintError)) return null;
+
+    return new ConflictError('Conflicts with an existing resource');
+  },
+
+  // Versioned row changed since it was read -> 409
+  (err) => {
+    if (!(err instanceof OptimisticLockError)) return null;
+
+    return new ConflictError('Resource was modified by another request');
+  },
+
+  // Deleting a referenced row -> 409; pointing at a row that doesn't exist -> 422
+  (err) => {
+    if (!(err instanceof ForeignKeyConstraintError)) return null;
+
+    const detail = pgError(err).detail || '';
+    const match = /Key \((.+?)\)=/.exec(detail);
+    const fields = match ? match[1].split(', ').map(toField) : [];
+
+    if (detail.includes('still referenced')) {
+      return new ConflictError('Resource is still referenced by other resources');
+    }
+
+    const error = new AppError('Referenced resource does not exist', 422, 'INVALID_REFERENCE');
+    error.errors = fields.map((field) => ({
+      path: field,
+      message: `${field} does not reference an existing resource`,
+      type: 'foreign_key',
+    }));
+    return error;
+  },
+
+  // Model validation -> 400 with per-field details
+  (err) => {
+    if (!(err instanceof SequelizeValidationError)) return null;
+
+    return new ValidationError(
+      'Validation failed',
+      (err.errors || []).map((item) => ({
+        path: item.path,
+        message: item.message,
+        type: item.validatorKey || item.type,
+      }))
+    );
+  },
+
+  // Joi schemas validated outside the validate middleware -> 400
+  (err) => {
+    if (!Joi.isError(err)) return null;
+
+    return new ValidationError(
+      'Validation failed',
+      err.details.map((detail) => ({
+        path: detail.path.join('.'),
+        message: detail.message.replace(/"/g, ''),
+        type: detail.type,
+      }))
+    );
+  },
+
+  // Database unreachable, pool exhausted or query timed out -> 503
+  (err) => {
+    const unavailable =
+      err instanceof ConnectionError ||
+      err instanceof TimeoutError ||
+      UNAVAILABLE_PG_CODES.includes(pgError(err).code);
+
+    return unavailable ? new ServiceUnavailableError() : null;
+  },
+
+  // Client errors from http-errors producers (body-parser: malformed JSON, payload too large,
+  // unsupported charset, ...) -> their own 4xx, e.g. 413 PAYLOAD_TOO_LARGE
+  (err) => {
+    if (!err.expose || !(err.status >= 400 && err.status < 500)) return null;
+
+    const code = (http.STATUS_CODES[err.status] || 'Bad Request')
+      .toUpperCase()
+      .replace(/[^A-Z]+/g, '_');
+    return new AppError(err.message, err.status, code);
+  },
+];
+
+const mappers = [...defaultMappers];
+
+/**
+ * Add a mapper; it runs before the built-in ones
+ * @param {Function} mapper - (err) => AppError | null
+ */
+const registerErrorMapper = (mapper) => {
+  mappers.unshift(mapper);
+};
+
+/**
+ * Translate an error into an operational AppError.
+ * Operational errors pass through; returns null when no mapper recognizes it.
+ * @param {Error} err
+ * @returns {AppError|null}
+ */
+const mapError = (err) => {
+  if (err.isOperational) return err;
+
+  for (const mapper of mappers) {
+    const mapped = mapper(err);
+    if (mapped) {
+      mapped.cause = err;
+      return mapped;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  mapError,
+  registerErrorMapper,
+};
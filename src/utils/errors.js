@@ -14,8 +14,27 @@ class AppError extends Error {
  * Validation error (400)
  */
 class ValidationError extends AppError {
-  constructor(message) {
+  constructor(message = 'Validation failed', errors = null) {
     super(message, 400, 'VALIDATION_ERROR');
+    this.errors = errors;
+  }
+}
+
+/**
+ * Unauthorized error (401)
+ */
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+/**
+ * Forbidden error (403)
+ */
+class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions') {
+    super(message, 403, 'FORBIDDEN');
   }
 }
 
@@ -28,8 +47,41 @@ class NotFoundError extends AppError {
   }
 }
 
+/**
+ * Conflict error (409), e.g. a duplicate unique value
+ */
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', errors = null) {
+    super(message, 409, 'CONFLICT');
+    this.errors = errors;
+  }
+}
+
+/**
+ * Rate limit exceeded error (429)
+ */
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, 429, 'RATE_LIMITED');
+  }
+}
+
+/**
+ * Service unavailable error (503), e.g. the database is unreachable
+ */
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable') {
+    super(message, 503, 'SERVICE_UNAVAILABLE');
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
   NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServiceUnavailableError,
 };
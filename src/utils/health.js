@@ -0,0 +1,120 @@
+const sequelize = require('../database/connection');
+const { replicaMonitor } = require('../database/replication');
+const { redisHealthCheck } = require('../config/redis');
+const queueManager = require('../config/queue');
+const env = require('../config/env');
+const { withTimeout } = require('./timeout');
+const shutdown = require('./shutdown');
+
+/**
+ * Dependency checks. Each resolves when the component is usable and throws otherwise.
+ */
+const checks = {
+  database: async () => {
+    await sequelize.authenticate();
+  },
+
+  // Last result of the background replica check; a failure means reads fell back to the primary
+  ...(replicaMonitor.enabled && {
+    replicas: () => {
+      const down = Object.keys(replicaMonitor.status).filter(
+        (name) => replicaMonitor.status[name].status === 'down'
+      );
+      if (down.length > 0) {
+        throw new Error(`Unreachable: ${down.join(', ')}`);
+      }
+    },
+  }),
+
+  redis: async () => {
+    const healthy = await redisHealthCheck();
+    if (!healthy) {
+      throw new Error('Redis PING failed');
+    }
+  },
+
+  queues: async () => {
+    const result = await queueManager.healthCheck();
+    const unavailable = Object.keys(result.queues || {}).filter((name) => !result.queues[name]);
+
+    if (!result.healthy || unavailable.length > 0) {
+      throw new Error(result.error || `Stats unavailable for: ${unavailable.join(', ')}`);
+    }
+  },
+};
+
+const elapsedMs = (start) => Number((process.hrtime.bigint() - start) / 1000n) / 1000;
+
+/**
+ * Run a single check and report its status and latency
+ * @param {string} name - Component name
+ */
+const runCheck = async (name) => {
+  const critical = env.HEALTH_CRITICAL_COMPONENTS.includes(name);
+  const start = process.hrtime.bigint();
+
+  try {
+    await withTimeout(checks[name](), env.HEALTH_CHECK_TIMEOUT);
+    return { status: 'up', critical, latencyMs: elapsedMs(start) };
+  } catch (error) {
+    return { status: 'down', critical, latencyMs: elapsedMs(start), error: error.message };
+  }
+};
+
+/**
+ * Check every dependency in parallel.
+ * `not_ready` if a critical component is down, `degraded` if only non-critical ones are.
+ */
+const checkReadiness = async () => {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map((name) => runCheck(name)));
+
+  const components = {};
+  names.forEach((name, i) => {
+    components[name] = results[i];
+  });
+
+  const down = results.filter((result) => result.status === 'down');
+  let status = 'ready';
+  if (down.some((result) => result.critical)) {
+    status = 'not_ready';
+  } else if (down.length > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    components,
+  };
+};
+
+/**
+ * Liveness probe: the process is up and the event loop is responsive.
+ * Never touches dependencies so a slow database doesn't get the pod restarted.
+ */
+const liveness = (_req, res) => {
+  res.json({
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+};
+
+/**
+ * Readiness probe: 503 when a critical dependency is down or the process is shutting down
+ */
+const readiness = async (_req, res) => {
+  if (shutdown.isShuttingDown()) {
+    return res.status(503).json({ status: 'shutting_down', timestamp: new Date().toISOString() });
+  }
+
+  const report = await checkReadiness();
+  return res.status(report.status === 'not_ready' ? 503 : 200).json(report);
+};
+
+module.exports = {
+  checkReadiness,
+  liveness,
+  readiness,
+};
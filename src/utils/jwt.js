@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const cacheService = require('../config/cache');
+const { UnauthorizedError, ServiceUnavailableError } = require('./errors');
+const logger = require('./logger');
+
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+};
+
+const getTokenSettings = (type) => {
+  if (type === TOKEN_TYPES.REFRESH) {
+    return { secret: config.jwt.refreshSecret, expiresIn: config.jwt.refreshExpiresIn };
+  }
+
+  return { secret: config.jwt.secret, expiresIn: config.jwt.expiresIn };
+};
+
+/**
+ * Sign a token of the given type for a user
+ * @param {Object} user - Must expose `id` and `role`
+ * @param {string} type - One of TOKEN_TYPES
+ * @returns {string} Signed JWT
+ */
+const signToken = (user, type) => {
+  const { secret, expiresIn } = getTokenSettings(type);
+
+  return jwt.sign({ sub: String(user.id), role: user.role, type }, secret, {
+    expiresIn,
+    issuer: config.jwt.issuer,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+const generateAccessToken = (user) => signToken(user, TOKEN_TYPES.ACCESS);
+
+const generateRefreshToken = (user) => signToken(user, TOKEN_TYPES.REFRESH);
+
+/**
+ * Issue an access/refresh token pair
+ * @param {Object} user - Must expose `id` and `role`
+ */
+const generateTokens = (user) => ({
+  accessToken: generateAccessToken(user),
+  refreshToken: generateRefreshToken(user),
+  tokenType: 'Bearer',
+  expiresIn: config.jwt.expiresIn,
+});
+
+/**
+ * Verify a token and make sure it is of the expected type
+ * @param {string} token - Raw JWT
+ * @param {string} type - One of TOKEN_TYPES
+ * @returns {Object} Decoded payload
+ * @throws {UnauthorizedError}
+ */
+const verifyToken = (token, type) => {
+  const { secret } = getTokenSettings(type);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret, { issuer: config.jwt.issuer });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Token has expired');
+    }
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  if (decoded.type !== type) {
+    throw new UnauthorizedError('Invalid token type');
+  }
+
+  return decoded;
+};
+
+const verifyAccessToken = (token) => verifyToken(token, TOKEN_TYPES.ACCESS);
+
+const verifyRefreshToken = (token) => verifyToken(token, TOKEN_TYPES.REFRESH);
+
+/**
+ * Atomically mark a refresh token as used until it expires.
+ * Returns false if the token was already used (replay).
+ * Fails closed: without Redis, replays can't be detected, so no token is accepted.
+ * @param {Object} decoded - Decoded refresh token payload
+ * @throws {ServiceUnavailableError} When the used-token store is unreachable
+ */
+const consumeRefreshToken = async (decoded) => {
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return false;
+
+  try {
+    const client = cacheService.getClient();
+    const result = await client.set(`used_refresh_token:${decoded.jti}`, '1', 'EX', ttl, 'NX');
+    return result === 'OK';
+  } catch (error) {
+    logger.error('Refresh token tracking error', { jti: decoded.jti, error });
+    throw new ServiceUnavailableError();
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented refresh token is single-use.
+ * @param {string} refreshToken - Raw refresh JWT
+ * @param {Function} loadUser - Optional async (userId) => user, to pick up role changes
+ * @throws {UnauthorizedError}
+ * @throws {ServiceUnavailableError} When replay protection is unavailable
+ */
+const rotateTokens = async (refreshToken, loadUser = null) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  const firstUse = await consumeRefreshToken(decoded);
+  if (!firstUse) {
+    throw new UnauthorizedError('Refresh token has already been used');
+  }
+
+  const user = loadUser ? await loadUser(decoded.sub) : { id: decoded.sub, role: decoded.role };
+  if (!user) {
+    throw new UnauthorizedError('User no longer exists');
+  }
+
+  return generateTokens(user);
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  generateAccessToken,
+  generateRefreshToken,
+  generateTokens,
+  verifyAccessToken,
+  verifyRefreshToken,
+  rotateTokens,
+};
@@ -0,0 +1,122 @@
+const env = require('../config/env');
+const { getContext } = require('./context');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+};
+
+// Context values copied onto every log entry
+const CONTEXT_FIELDS = ['requestId', 'userId', 'queue', 'jobId', 'jobType'];
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack,
+});
+
+const serializeMeta = (meta) => {
+  if (meta instanceof Error) {
+    return { error: serializeError(meta) };
+  }
+
+  const result = {};
+  Object.entries(meta).forEach(([key, value]) => {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return result;
+};
+
+/**
+ * Structured logger.
+ * JSON lines when LOG_FORMAT=json (default in production), readable lines otherwise.
+ * Entries carry the current request/job context automatically.
+ */
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  // Logger with extra fields on every entry, e.g. logger.child({ component: 'redis' })
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[env.LOG_LEVEL];
+  }
+
+  log(level, message, meta = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const context = getContext();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...this.bindings,
+    };
+    CONTEXT_FIELDS.forEach((field) => {
+      if (context[field] !== undefined) entry[field] = context[field];
+    });
+    Object.assign(entry, serializeMeta(meta));
+
+    if (env.LOG_FORMAT === 'json') {
+      this.writeJSON(entry);
+    } else {
+      this.writePretty(entry);
+    }
+  }
+
+  writeJSON(entry) {
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({
+        timestamp: entry.timestamp,
+        level: entry.level,
+        message: entry.message,
+        logError: error.message,
+      });
+    }
+
+    process.stdout.write(`${line}\n`);
+  }
+
+  writePretty({ timestamp, level, message, ...fields }) {
+    const { error, ...rest } = fields;
+    const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    const line = `${timestamp} ${level.toUpperCase().padEnd(5)} ${message}${details}`;
+
+    const write = level === 'error' || level === 'warn' ? console.error : console.log;
+    write(line);
+    if (error) {
+      write(error.stack || error.message);
+    }
+  }
+
+  error(message, meta) {
+    this.log('error', message, meta);
+  }
+
+  warn(message, meta) {
+    this.log('warn', message, meta);
+  }
+
+  info(message, meta) {
+    this.log('info', message, meta);
+  }
+
+  debug(message, meta) {
+    this.log('debug', message, meta);
+  }
+}
+
+// Root logger
+const logger = new Logger();
+
+module.exports = logger;
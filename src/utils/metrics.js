@@ -0,0 +1,201 @@
+const http = require('http');
+const client = require('prom-client');
+const sequelize = require('../database/connection');
+const logger = require('./logger');
+const { withTimeout } = require('./timeout');
+
+// A scrape must not hang on an unreachable Redis
+const QUEUE_STATS_TIMEOUT = 2000;
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+// HTTP
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Total HTTP requests',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// Database pool
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Sequelize connection pool usage',
+  labelNames: ['pool', 'state'],
+  registers: [register],
+  collect() {
+    const { pool } = sequelize.connectionManager;
+    if (!pool) return;
+
+    // With read replicas there is a separate read and write pool
+    const pools = pool.read ? { primary: pool.write, replica: pool.read } : { primary: pool };
+
+    Object.entries(pools).forEach(([name, { size, available, using, waiting }]) => {
+      this.set({ pool: name, state: 'size' }, size);
+      this.set({ pool: name, state: 'available' }, available);
+      this.set({ pool: name, state: 'using' }, using);
+      this.set({ pool: name, state: 'waiting' }, waiting);
+    });
+  },
+});
+
+// Redis / cache
+const redisCommandDuration = new client.Histogram({
+  name: 'redis_command_duration_seconds',
+  help: 'Redis command latency',
+  labelNames: ['command', 'status'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1],
+  registers: [register],
+});
+
+const cacheRequestsTotal = new client.Counter({
+  name: 'cache_requests_total',
+  help: 'Cache lookups by result; hit ratio = hit / (hit + miss)',
+  labelNames: ['keyspace', 'result'],
+  registers: [register],
+});
+
+// Queues
+new client.Gauge({
+  name: 'queue_jobs',
+  help: 'Jobs per queue and state',
+  labelNames: ['queue', 'state'],
+  registers: [register],
+  async collect() {
+    // Required lazily: the queue manager itself reports job durations into this module
+    const queueManager = require('../config/queue');
+    let stats;
+    try {
+      stats = await withTimeout(queueManager.getAllQueueStats(), QUEUE_STATS_TIMEOUT);
+    } catch (error) {
+      logger.warn('Queue stats unavailable for metrics', { error: error.message });
+      return;
+    }
+
+    Object.entries(stats).forEach(([queue, counts]) => {
+      if (!counts) return;
+      Object.entries(counts).forEach(([state, count]) => {
+        this.set({ queue, state }, count);
+      });
+    });
+  },
+});
+
+const jobDuration = new client.Histogram({
+  name: 'queue_job_duration_seconds',
+  help: 'Job processing time',
+  labelNames: ['queue', 'job_type', 'status'],
+  buckets: [0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300],
+  registers: [register],
+});
+
+/**
+ * Record a finished HTTP request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {number} seconds
+ */
+const observeRequest = (req, res, seconds) => {
+  // Matched route pattern only, so ids in URLs don't explode label cardinality
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+  const labels = { method: req.method, route, status: res.statusCode };
+
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, seconds);
+};
+
+/**
+ * Time every command sent through an ioredis client
+ * @param {Redis} redisClient
+ */
+const instrumentRedis = (redisClient) => {
+  const sendCommand = redisClient.sendCommand.bind(redisClient);
+
+  redisClient.sendCommand = (command, stream) => {
+    const end = redisCommandDuration.startTimer({ command: command.name });
+    command.promise.then(
+      () => end({ status: 'ok' }),
+      () => end({ status: 'error' })
+    );
+    return sendCommand(command, stream);
+  };
+
+  return redisClient;
+};
+
+/**
+ * Count a cache hit or miss. Keys are grouped by their prefix (`time_slots:...` -> time_slots).
+ * @param {string} key
+ * @param {boolean} hit
+ */
+const recordCacheLookup = (key, hit) => {
+  cacheRequestsTotal.inc({ keyspace: key.split(':')[0], result: hit ? 'hit' : 'miss' });
+};
+
+/**
+ * Record a finished job
+ * @param {string} queue
+ * @param {Job} job
+ * @param {string} status - completed | failed
+ */
+const observeJob = (queue, job, status) => {
+  if (!job.processedOn) return;
+
+  const seconds = ((job.finishedOn || Date.now()) - job.processedOn) / 1000;
+  jobDuration.observe({ queue, job_type: job.name, status }, seconds);
+};
+
+/**
+ * GET /metrics in Prometheus text format.
+ * Uses the plain http API so it can be served without Express.
+ */
+const metricsHandler = async (_req, res) => {
+  try {
+    const body = await register.metrics();
+    res.setHeader('Content-Type', register.contentType);
+    res.end(body);
+  } catch (error) {
+    logger.error('Failed to collect metrics', error);
+    res.statusCode = 500;
+    res.end();
+  }
+};
+
+/**
+ * Standalone server for /metrics on its own port, kept off the public API port
+ * so route names and internals are only reachable from inside the network
+ * @param {number} port
+ * @returns {http.Server}
+ */
+const startMetricsServer = (port) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/metrics') {
+      return metricsHandler(req, res);
+    }
+    res.statusCode = 404;
+    return res.end();
+  });
+  server.listen(port);
+  logger.info('Metrics available', { port, path: '/metrics' });
+  return server;
+};
+
+module.exports = {
+  register,
+  observeRequest,
+  instrumentRedis,
+  recordCacheLookup,
+  observeJob,
+  metricsHandler,
+  startMetricsServer,
+};
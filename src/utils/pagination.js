@@ -0,0 +1,311 @@
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ?filter[field][op]=value
+const FILTER_OPERATORS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+};
+
+const problem = (path, message, type) => ({ location: 'query', path, message, type });
+
+const encodeCursor = (direction, values) =>
+  Buffer.from(JSON.stringify({ d: direction, v: values })).toString('base64url');
+
+// Cursor values end up in Op.gt / Op.lt comparisons, so only plain scalars are accepted
+const isCursorValue = (value) =>
+  typeof value === 'string' ||
+  typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+const decodeCursor = (cursor) => {
+  try {
+    const { d, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if ((d === 'next' || d === 'prev') && Array.isArray(v) && v.every(isCursorValue)) {
+      return { direction: d, values: v };
+    }
+  } catch {
+    // Fall through to null
+  }
+  return null;
+};
+
+/**
+ * ?sort=-createdAt,name -> [['createdAt', 'DESC'], ['name', 'ASC'], ['id', 'DESC']]
+ * The primary key is appended as a tie-breaker so the order (and keyset cursors) are stable.
+ */
+const parseSort = (raw, spec, problems) => {
+  const fields = String(raw || spec.defaultSort || spec.primaryKey)
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  const order = fields
+    .map((field) => (field.startsWith('-') ? [field.slice(1), 'DESC'] : [field, 'ASC']))
+    .filter(([field]) => {
+      if (field === spec.primaryKey || spec.sortable.includes(field)) return true;
+      problems.push(problem('sort', `Cannot sort by "${field}"`, 'sort.field'));
+      return false;
+    });
+
+  if (!order.some(([field]) => field === spec.primaryKey)) {
+    order.push([spec.primaryKey, order.length > 0 ? order[order.length - 1][1] : 'ASC']);
+  }
+
+  return order;
+};
+
+/**
+ * ?filter[status]=active, ?filter[status]=active,pending, ?filter[price][gte]=100
+ * Values are validated and coerced with the field's Joi schema from the allowlist.
+ */
+const parseFilters = (raw, spec, problems) => {
+  if (raw === undefined) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push(problem('filter', 'Use filter[field]=value', 'filter.format'));
+    return {};
+  }
+
+  const coerce = (field, path, value) => {
+    const { error, value: converted } = spec.filterable[field].validate(value);
+    if (error) {
+      problems.push(problem(path, error.message.replace(/"value"/, field), 'filter.value'));
+    }
+    return converted;
+  };
+
+  const list = (field, path, value) =>
+    (Array.isArray(value) ? value : String(value).split(',')).map((item) =>
+      coerce(field, path, item)
+    );
+
+  return Object.entries(raw).reduce((where, [field, value]) => {
+    const path = `filter[${field}]`;
+
+    if (!Object.hasOwn(spec.filterable, field)) {
+      problems.push(problem(path, `Cannot filter by "${field}"`, 'filter.field'));
+      return where;
+    }
+
+    // Plain value: equality, or IN for comma-separated / repeated values
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      const values = list(field, path, value);
+      return { ...where, [field]: values.length > 1 ? { [Op.in]: values } : values[0] };
+    }
+
+    const conditions = Object.entries(value).reduce((acc, [operator, operand]) => {
+      if (!Object.hasOwn(FILTER_OPERATORS, operator)) {
+        problems.push(
+          problem(`${path}[${operator}]`, `Unknown operator "${operator}"`, 'filter.operator')
+        );
+        return acc;
+      }
+
+      const converted =
+        operator === 'in'
+          ? list(field, `${path}[in]`, operand)
+          : coerce(field, `${path}[${operator}]`, operand);
+      return { ...acc, [FILTER_OPERATORS[operator]]: converted };
+    }, {});
+
+    return { ...where, [field]: conditions };
+  }, {});
+};
+
+/**
+ * Parse list query parameters against a per-model allowlist.
+ * Uses keyset pagination when `cursor` is present (`?cursor=` starts at the first page),
+ * offset pagination (`page`) otherwise.
+ * @param {Object} query - req.query
+ * @param {Object} spec
+ * @param {string[]} spec.sortable - Attributes allowed in ?sort; NOT NULL columns only, since
+ *   keyset cursors can't carry nulls
+ * @param {Object} spec.filterable - { attribute: JoiSchema } allowed in ?filter
+ * @param {string} spec.defaultSort - e.g. '-createdAt'
+ * @param {string} spec.primaryKey - Tie-breaker for stable ordering (default 'id')
+ * @param {number} spec.defaultLimit
+ * @param {number} spec.maxLimit
+ * @returns {Object} { mode, page, limit, cursor, where, order, findOptions }
+ * @throws {ValidationError} listing every invalid parameter
+ */
+const parseListQuery = (query, spec = {}) => {
+  const options = {
+    sortable: [],
+    filterable: {},
+    primaryKey: 'id',
+    defaultLimit: DEFAULT_LIMIT,
+    maxLimit: MAX_LIMIT,
+    ...spec,
+  };
+  const problems = [];
+
+  const number = (name, schema, fallback) => {
+    if (query[name] === undefined) return fallback;
+    const { error, value } = schema.validate(query[name]);
+    if (error) {
+      problems.push(problem(name, error.message.replace(/"value"/, name), 'pagination'));
+      return fallback;
+    }
+    return value;
+  };
+
+  const limit = number(
+    'limit',
+    Joi.number().integer().min(1).max(options.maxLimit),
+    options.defaultLimit
+  );
+  const page = number('page', Joi.number().integer().min(1), 1);
+  const order = parseSort(query.sort, options, problems);
+  const where = parseFilters(query.filter, options, problems);
+
+  const mode = query.cursor !== undefined ? 'cursor' : 'offset';
+  let cursor = null;
+  if (mode === 'cursor' && query.cursor !== '') {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor || cursor.values.length !== order.length) {
+      problems.push(problem('cursor', 'Invalid cursor', 'pagination'));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid query parameters', problems);
+  }
+
+  return {
+    mode,
+    page,
+    limit,
+    cursor,
+    where,
+    order,
+    findOptions:
+      mode === 'offset' ? { where, order, limit, offset: (page - 1) * limit } : { where, order },
+  };
+};
+
+/**
+ * Rows that come after (or before) the cursor row in the given order:
+ * (a > va) OR (a = va AND b > vb) OR ... with each comparison following its column's direction
+ */
+const keysetCondition = (order, { direction, values }) => ({
+  [Op.or]: order.map(([field, dir], i) => {
+    const after = (dir === 'ASC') === (direction === 'next');
+    const equal = Object.fromEntries(
+      order.slice(0, i).map(([previous], j) => [previous, values[j]])
+    );
+    return { ...equal, [field]: { [after ? Op.gt : Op.lt]: values[i] } };
+  }),
+});
+
+const rowValues = (row, order) =>
+  order.map(([field]) => (typeof row.get === 'function' ? row.get(field) : row[field]));
+
+/**
+ * Relative link to the current URL with some query parameters replaced
+ */
+const linkTo = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return `${url.pathname}${url.search}`;
+};
+
+const andWhere = (...conditions) => {
+  const present = conditions.filter((condition) => condition && Reflect.ownKeys(condition).length);
+  if (present.length <= 1) return present[0] || {};
+  return { [Op.and]: present };
+};
+
+/**
+ * Run a paginated list query for a model from the request's query parameters
+ * @param {Model} Model
+ * @param {Request} req
+ * @param {Object} spec - Allowlist, see parseListQuery
+ * @param {Object} options - Extra findAll options (include, attributes, scoping where, ...)
+ * @returns {Promise<{ rows: Array, meta: Object }>} Pass both to APIResponse.paginated
+ */
+const paginate = async (Model, req, spec, options = {}) => {
+  const parsed = parseListQuery(req.query, spec);
+  const where = andWhere(options.where, parsed.where);
+
+  if (parsed.mode === 'offset') {
+    const { page, limit } = parsed;
+    const { rows, count } = await Model.findAndCountAll({
+      ...options,
+      ...parsed.findOptions,
+      where,
+      distinct: true,
+    });
+    const pages = Math.ceil(count / limit);
+
+    return {
+      rows,
+      meta: {
+        page,
+        limit,
+        total: count,
+        pages,
+        links: {
+          self: linkTo(req, { page, limit }),
+          next: page < pages ? linkTo(req, { page: page + 1, limit }) : null,
+          prev: page > 1 ? linkTo(req, { page: Math.min(page - 1, pages || 1), limit }) : null,
+        },
+      },
+    };
+  }
+
+  const { cursor, limit } = parsed;
+  const backwards = cursor && cursor.direction === 'prev';
+  const order = parsed.order.map(([field, dir]) => [
+    field,
+    backwards ? (dir === 'ASC' ? 'DESC' : 'ASC') : dir,
+  ]);
+
+  // One extra row tells whether there is another page in this direction
+  const found = await Model.findAll({
+    ...options,
+    where: cursor ? andWhere(where, keysetCondition(parsed.order, cursor)) : where,
+    order,
+    limit: limit + 1,
+  });
+
+  const hasMore = found.length > limit;
+  const rows = found.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const nextCursor =
+    last && (backwards || hasMore) ? encodeCursor('next', rowValues(last, parsed.order)) : null;
+  const prevCursor =
+    first && (backwards ? hasMore : Boolean(cursor))
+      ? encodeCursor('prev', rowValues(first, parsed.order))
+      : null;
+
+  return {
+    rows,
+    meta: {
+      limit,
+      nextCursor,
+      prevCursor,
+      links: {
+        self: linkTo(req, { limit }),
+        next: nextCursor ? linkTo(req, { cursor: nextCursor, limit }) : null,
+        prev: prevCursor ? linkTo(req, { cursor: prevCursor, limit }) : null,
+      },
+    },
+  };
+};
+
+module.exports = {
+  parseListQuery,
+  paginate,
+};
@@ -1,3 +1,5 @@
+const { sendError } = require('./errorFormat');
+
 /**
  * Standardized API response wrapper
  */
@@ -33,6 +35,26 @@ class APIResponse {
     });
   }
 
+  /**
+   * Paginated list response
+   * @param {Object} res - Express response object
+   * @param {Array} rows - Page of results
+   * @param {Object} meta - Pagination meta and links (from utils/pagination paginate)
+   * @param {string} message - Success message
+   */
+  static paginated(res, rows, meta, message = 'Success') {
+    const { links, ...pagination } = meta;
+
+    return res.status(200).json({
+      success: true,
+      message,
+      data: rows,
+      pagination,
+      ...(links && { links }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   /**
    * No content response (204)
    * @param {Object} res - Express response object
@@ -42,7 +64,7 @@ class APIResponse {
   }
 
   /**
-   * Error response
+   * Error response, in the format chosen by utils/errorFormat (ERROR_FORMAT / Accept header)
    * @param {Object} res - Express response object
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
@@ -50,17 +72,7 @@ class APIResponse {
    * @param {Array} errors - Validation errors (optional)
    */
   static error(res, message, statusCode = 500, code = 'INTERNAL_ERROR', errors = null) {
-    const response = {
-      success: false,
-      message,
-      error: {
-        code,
-        ...(errors && { details: errors }),
-      },
-      timestamp: new Date().toISOString(),
-    };
-
-    return res.status(statusCode).json(response);
+    return sendError(res, { message, status: statusCode, code, errors });
   }
 
   /**
@@ -0,0 +1,126 @@
+const env = require('../config/env');
+const logger = require('./logger').child({ component: 'shutdown' });
+
+/**
+ * Process exit codes
+ */
+const EXIT_CODES = {
+  CLEAN: 0, // Every step finished before the deadline
+  FATAL: 1, // Shut down because of an uncaught exception / unhandled rejection
+  FORCED: 2, // Deadline exceeded or a second signal arrived
+};
+
+// How often idle keep-alive sockets are swept while the HTTP server drains
+const IDLE_SWEEP_INTERVAL = 250;
+
+class ShutdownCoordinator {
+  constructor() {
+    this.steps = [];
+    this.shuttingDown = false;
+    this.timeout = env.SHUTDOWN_TIMEOUT;
+    this.drainDelay = env.SHUTDOWN_DRAIN_DELAY;
+  }
+
+  /**
+   * Add a shutdown step. Steps run one after another in registration order,
+   * so register them in dependency order (HTTP before queues before Redis/DB).
+   * @param {string} name
+   * @param {Function} fn - async () => void
+   */
+  register(name, fn) {
+    this.steps.push({ name, fn });
+    return this;
+  }
+
+  isShuttingDown() {
+    return this.shuttingDown;
+  }
+
+  async runStep({ name, fn }) {
+    const start = Date.now();
+
+    try {
+      await fn();
+      logger.info('Shutdown step complete', { step: name, durationMs: Date.now() - start });
+    } catch (error) {
+      logger.error('Shutdown step failed', { step: name, error });
+    }
+  }
+
+  async shutdown(reason, exitCode = EXIT_CODES.CLEAN) {
+    if (this.shuttingDown) {
+      logger.warn('Shutdown already in progress, forcing exit', { reason });
+      this.exit(EXIT_CODES.FORCED);
+      return;
+    }
+
+    this.shuttingDown = true;
+    logger.info('Shutting down', { reason, timeoutMs: this.timeout });
+
+    const deadline = setTimeout(() => {
+      logger.error('Shutdown deadline exceeded, forcing exit', { timeoutMs: this.timeout });
+      this.exit(EXIT_CODES.FORCED);
+    }, this.timeout);
+
+    // Readiness already reports failing; give the load balancer time to notice
+    if (this.drainDelay > 0) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, this.drainDelay);
+      });
+    }
+
+    await this.steps.reduce(
+      (previous, step) => previous.then(() => this.runStep(step)),
+      Promise.resolve()
+    );
+
+    clearTimeout(deadline);
+    logger.info('Shutdown complete', { reason, exitCode });
+    this.exit(exitCode);
+  }
+
+  exit(code) {
+    process.exit(code);
+  }
+
+  // SIGTERM/SIGINT shut down cleanly; uncaught errors shut down and exit non-zero
+  installHandlers() {
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+
+    process.on('uncaughtException', (error) => {
+      logger.error('Uncaught exception', error);
+      this.shutdown('uncaughtException', EXIT_CODES.FATAL);
+    });
+
+    process.on('unhandledRejection', (reason) => {
+      logger.error('Unhandled promise rejection', {
+        error: reason instanceof Error ? reason : new Error(String(reason)),
+      });
+      this.shutdown('unhandledRejection', EXIT_CODES.FATAL);
+    });
+  }
+}
+
+/**
+ * Stop accepting connections and wait for in-flight requests. Keep-alive sockets
+ * are closed as soon as they go idle so they can't hold the server open.
+ * @param {http.Server} server
+ */
+const closeServer = (server) =>
+  new Promise((resolve, reject) => {
+    const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_INTERVAL);
+
+    server.close((error) => {
+      clearInterval(sweep);
+      return error ? reject(error) : resolve();
+    });
+    server.closeIdleConnections();
+  });
+
+// Singleton instance
+const shutdown = new ShutdownCoordinator();
+
+module.exports = shutdown;
+module.exports.EXIT_CODES = EXIT_CODES;
+module.exports.closeServer = closeServer;
@@ -0,0 +1,18 @@
+/**
+ * Reject if the promise does not settle within `ms`
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = {
+  withTimeout,
+};
@@ -0,0 +1,53 @@
+const config = require('./config');
+const env = require('./config/env');
+const { connectDB, closeDB } = require('./database/connection');
+const { connectRedis, disconnectRedis } = require('./config/redis');
+const { loadModels } = require('./database/models');
+const workerManager = require('./workers');
+const { outboxRelay } = require('./database/outbox');
+const logger = require('./utils/logger');
+const { startMetricsServer } = require('./utils/metrics');
+const shutdown = require('./utils/shutdown');
+
+const { EXIT_CODES, closeServer } = shutdown;
+
+let metricsServer = null;
+
+/**
+ * Start queue workers with database and Redis connections
+ */
+const startWorker = async () => {
+  logger.debug('Configuration loaded', { config: env.redacted() });
+
+  await connectDB();
+  await connectRedis();
+  loadModels();
+
+  workerManager.start();
+  outboxRelay.start();
+
+  if (config.metrics.enabled && config.metrics.workerPort) {
+    metricsServer = startMetricsServer(config.metrics.workerPort);
+  }
+
+  logger.info('Queue worker running', { env: config.env });
+};
+
+shutdown.installHandlers();
+
+startWorker()
+  .then(() => {
+    /**
+     * Graceful shutdown: let active jobs finish before closing connections
+     */
+    shutdown
+      .register('outbox', () => outboxRelay.stop())
+      .register('workers', () => workerManager.stop())
+      .register('metrics', () => metricsServer && closeServer(metricsServer))
+      .register('redis', () => disconnectRedis())
+      .register('database', () => closeDB());
+  })
+  .catch((error) => {
+    logger.error('Failed to start worker', error);
+    process.exit(EXIT_CODES.FATAL);
+  });
@@ -0,0 +1,115 @@
+const queueManager = require('../config/queue');
+const env = require('../config/env');
+const { loadModuleProcessors } = require('../modules');
+const logger = require('../utils/logger').child({ component: 'worker' });
+const { runWithContext } = require('../utils/context');
+
+class WorkerManager {
+  constructor() {
+    this.handlers = {};
+    this.started = false;
+  }
+
+  // Register a handler for one job type on one queue
+  register(queueName, jobType, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${queueName}:${jobType} must be a function`);
+    }
+
+    this.handlers[queueName] = this.handlers[queueName] || {};
+
+    if (this.handlers[queueName][jobType]) {
+      throw new Error(`Duplicate handler registered for ${queueName}:${jobType}`);
+    }
+
+    this.handlers[queueName][jobType] = handler;
+  }
+
+  // Register a { [queueName]: { [jobType]: handler } } map
+  registerProcessors(processors) {
+    Object.entries(processors).forEach(([queueName, jobHandlers]) => {
+      Object.entries(jobHandlers).forEach(([jobType, handler]) => {
+        this.register(queueName, jobType, handler);
+      });
+    });
+  }
+
+  getHandler(queueName, jobType) {
+    return (this.handlers[queueName] && this.handlers[queueName][jobType]) || null;
+  }
+
+  getConcurrency(queueName) {
+    return env.QUEUE_CONCURRENCY[queueName] || env.WORKER_CONCURRENCY;
+  }
+
+  // Route a job to its handler; unknown job types are failed without retries.
+  // Handlers run in the async context of the request that enqueued the job.
+  dispatch(queueName, job) {
+    const handler = this.getHandler(queueName, job.name);
+
+    if (!handler) {
+      job.discard();
+      throw new Error(`No handler registered for job type "${job.name}" on queue "${queueName}"`);
+    }
+
+    const meta = (job.data && job.data._meta) || {};
+    return runWithContext(
+      { requestId: meta.requestId, queue: queueName, jobId: job.id, jobType: job.name },
+      () => handler(job)
+    );
+  }
+
+  // Load module processors and start consuming every queue that has handlers
+  start() {
+    if (this.started) return;
+
+    loadModuleProcessors().forEach(({ module, processors }) => {
+      try {
+        this.registerProcessors(processors);
+      } catch (error) {
+        throw new Error(`Invalid processors in module "${module}": ${error.message}`);
+      }
+    });
+
+    Object.keys(this.handlers).forEach((queueName) => {
+      const concurrency = this.getConcurrency(queueName);
+      const queue = queueManager.getQueue(queueName);
+
+      queue.process('*', concurrency, (job) => this.dispatch(queueName, job));
+
+      logger.info('Worker started', {
+        queue: queueName,
+        concurrency,
+        jobTypes: Object.keys(this.handlers[queueName]),
+      });
+    });
+
+    this.started = true;
+  }
+
+  // Stop taking new jobs, wait for active ones to finish, then close all queues
+  async stop() {
+    if (!this.started) return;
+
+    logger.info('Waiting for active jobs to finish');
+
+    await Promise.all(
+      Object.keys(this.handlers).map(async (queueName) => {
+        try {
+          await queueManager.getQueue(queueName).pause(true);
+        } catch (error) {
+          logger.error('Error pausing worker', { queue: queueName, error: error.message });
+        }
+      })
+    );
+
+    await queueManager.closeAll();
+    this.started = false;
+    logger.info('Workers stopped');
+  }
+}
+
+// Singleton instance
+const workerManager = new WorkerManager();
+
+module.exports = workerManager;